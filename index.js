@@ -4,10 +4,12 @@ const path = require('path');
 const { Server } = require('socket.io');
 require('dotenv').config();
 
-const { connectDB } = require('./server/db');
+const { createRoomStore } = require('./server/roomStore');
 const RoomManager = require('./server/roomManager');
 const { registerHandlers } = require('./server/socketHandlers');
 const { registerIceEndpoint } = require('./server/iceConfig');
+const { registerDiagnostics } = require('./server/diagnostics');
+const { isClusterEnabled, liveSocketIds, setupAdapter, syncRoomManager } = require('./server/cluster');
 
 // ─── Express & Socket.io Setup ─────────────────────────────────
 
@@ -34,19 +36,27 @@ app.get('/waiting.html', (_, res) => res.sendFile(path.join(__dirname, 'waiting.
 app.get('/create_room', (_, res) => res.sendFile(path.join(__dirname, 'createroom.html')));
 app.get('/join_room', (_, res) => res.sendFile(path.join(__dirname, 'join_room.html')));
 
-// ─── ICE Config REST Endpoint ──────────────────────────────────
-
-registerIceEndpoint(app);
-
 // ─── Start Server ──────────────────────────────────────────────
 
+let roomStore = null;
+
 async function start() {
     try {
-        const { roomsColl } = await connectDB();
-        const roomManager = new RoomManager(roomsColl);
-        await roomManager.loadFromDB();
+        roomStore = await createRoomStore();
+        const clustered = isClusterEnabled();
+        if (clustered) await setupAdapter(io, roomStore);
+
+        const roomManager = new RoomManager(roomStore, {
+            shared: clustered,
+            liveSocketIds: () => liveSocketIds(io),
+        });
+        await roomManager.loadFromStore();
+        if (clustered) syncRoomManager(io, roomManager);
 
         registerHandlers(io, roomManager);
+        // ICE config (TURN credentials) only for sockets holding a seat
+        registerIceEndpoint(app, roomManager);
+        registerDiagnostics(app, __dirname);
 
         const PORT = process.env.PORT || 3000;
         server.listen(PORT, () => {
@@ -64,7 +74,6 @@ start();
 
 process.on('SIGTERM', async () => {
     console.log('[Server] SIGTERM received, shutting down...');
-    const { closeDB } = require('./server/db');
-    await closeDB();
+    if (roomStore) await roomStore.close();
     server.close(() => process.exit(0));
 });
@@ -3,12 +3,23 @@
  *
  * Provides:
  *   - SignalingClient: Socket.io connection lifecycle
- *   - PeerManager:     WebRTC peer connection + data channel
+ *   - PeerManager:     WebRTC mesh — one peer connection + data channel per peer
+ *
+ * Peers are identified by their seat name (`user1` … `user6`), which stays
+ * the same across reconnects while socket IDs do not.
  *
  * Usage (from chat.html):
  *   const signaling = new SignalingClient(roomCode, role);
- *   const peer = new PeerManager(signaling, roomCode, role);
+ *   const peer = new PeerManager(signaling, roomCode);
+ *   peer.useSecureChannel(new SecureSession(peer));  // call signaling goes encrypted
  *   signaling.connect();
+ *   peer.startCall('video');                        // ring everyone; media starts once someone accepts
+ *   await peer.acceptCall();                        // or declineCall() / hangUp()
+ *   await peer.startScreenShare();                  // during a video call
+ *   peer.setTrackEnabled('audio', false);           // mute
+ *   await peer.switchDevice('video', deviceId);     // another camera
+ *   peer.on('stats', (peerId, sample) => { ... });  // RTT, loss, bitrate… every 2 s in a call
+ *   signaling.on('latency', (rttMs) => { ... });    // server round trip, every heartbeat
  */
 
 // ═══════════════════════════════════════════════════════════════
@@ -23,6 +34,67 @@ const ConnectionState = {
     RECONNECTING: 'reconnecting',
 };
 
+// ═══════════════════════════════════════════════════════════════
+//  CALL STATES
+// ═══════════════════════════════════════════════════════════════
+//
+//  idle ─startCall()→ inviting ─accept→ active ─hangUp()→ idle
+//  idle ─invite→ ringing ─acceptCall()→ active
+//
+//  A call that ends before it is answered ends as 'declined', 'busy',
+//  'timeout' or 'cancelled' (caller) / 'missed' (callee). Wire format,
+//  encrypted through the SecureSession given to useSecureChannel():
+//    { type: 'call', action: 'invite' | 'ringing' | 'accept' | 'decline'
+//                           | 'busy' | 'cancel' | 'hangup', callId, callType }
+
+const CallState = {
+    IDLE: 'idle',
+    INVITING: 'inviting', // we are calling, nobody has answered yet
+    RINGING: 'ringing',   // someone is calling us
+    ACTIVE: 'active',
+};
+
+const CALL_RING_TIMEOUT_MS = 30000;
+
+// ═══════════════════════════════════════════════════════════════
+//  CALL QUALITY
+// ═══════════════════════════════════════════════════════════════
+
+const STATS_INTERVAL_MS = 2000;
+
+// Outgoing video steps down this ladder while the peer reports loss,
+// and back up after a run of clean samples
+const VIDEO_ENCODING_STEPS = [
+    { maxBitrate: 1500000, scaleResolutionDownBy: 1 },
+    { maxBitrate: 800000, scaleResolutionDownBy: 1.5 },
+    { maxBitrate: 400000, scaleResolutionDownBy: 2 },
+    { maxBitrate: 150000, scaleResolutionDownBy: 4 },
+];
+const LOSS_STEP_DOWN = 0.08;
+const LOSS_STEP_UP = 0.02;
+const CLEAN_SAMPLES_TO_STEP_UP = 5;
+
+// At the bottom step, this many bad samples in a row drop the call to audio only
+const VIDEO_POOR_CHECKS = 7;
+const VIDEO_MIN_BITRATE = 100000; // bits/s the link can still send
+const VIDEO_MAX_LOSS = 0.2;       // fraction of packets the peer reports lost
+
+// TURN credentials are fetched again this long before they expire; a
+// failed fetch (e.g. before our seat is confirmed) is retried after ICE_RETRY_MS,
+// and until one succeeds no connection is made, rather than guessing at the policy
+const ICE_REFRESH_MARGIN_MS = 60 * 1000;
+const ICE_RETRY_MS = 30 * 1000;
+const RELAY_ONLY_KEY = 'relayOnly';
+
+// A heartbeat goes out every HEARTBEAT_INTERVAL_MS. After HEARTBEAT_MAX_MISSED
+// in a row go unanswered the connection is treated as half-dead and dropped,
+// rather than waiting for Socket.io's own ping timeout
+const HEARTBEAT_INTERVAL_MS = 10000;
+const HEARTBEAT_MAX_MISSED = 2;
+
+// getUserMedia errors that mean "no usable camera" rather than "permission denied"
+const CAMERA_UNAVAILABLE_ERRORS = ['NotFoundError', 'NotReadableError', 'OverconstrainedError'];
+
 // ═══════════════════════════════════════════════════════════════
 //  SIGNALING CLIENT (Socket.io wrapper)
 // ═══════════════════════════════════════════════════════════════
@@ -31,10 +103,19 @@ class SignalingClient {
     constructor(roomCode, role) {
         this.roomCode = roomCode;
         this.role = role;
+        // Seat token issued by the server; proves we own our seat on reconnect
+        this.seatToken = sessionStorage.getItem(`seatToken:${roomCode}`);
+        /** @type {Set<string>} seat names of the other participants */
+        this.peers = new Set();
+        this.expiresAt = null;
         this.socket = null;
         this.state = ConnectionState.DISCONNECTED;
         this._listeners = {};
         this._heartbeatInterval = null;
+        this._heartbeatSeq = 0;
+        this._heartbeatPending = null; // { seq, sentAt } of the ping still waiting for its ack
+        this._missedHeartbeats = 0;
+        this.latency = null; // last heartbeat round trip in ms
         this._reconnectTimer = null;
         this._reconnectAttempts = 0;
         this.maxReconnectAttempts = 20;
@@ -75,14 +156,41 @@ class SignalingClient {
         this._bindSocketEvents();
         this._startHeartbeat();
 
-        // Handle page reload — rejoin the room
-        if (window.performance && performance.navigation.type === performance.navigation.TYPE_RELOAD) {
+        // Handle page reload — rejoin the room (nothing to reclaim without a seat token)
+        if (this.seatToken && window.performance && performance.navigation.type === performance.navigation.TYPE_RELOAD) {
             this.socket.once('connect', () => {
-                this.socket.emit('rejoin-room', { roomCode: this.roomCode, role: this.role });
+                this.rejoin();
             });
         }
     }
 
+    _saveSeatToken(token) {
+        if (!token) return;
+        this.seatToken = token;
+        sessionStorage.setItem(`seatToken:${this.roomCode}`, token);
+    }
+
+    _clearSeatToken() {
+        this.seatToken = null;
+        sessionStorage.removeItem(`seatToken:${this.roomCode}`);
+    }
+
+    /**
+     * Adopt the seat and peer list from a create/join/rejoin reply.
+     */
+    _applySeat(resp) {
+        this._saveSeatToken(resp.token);
+        this.expiresAt = resp.expiresAt ? new Date(resp.expiresAt) : null;
+        if (resp.role && resp.role !== this.role) {
+            this.role = resp.role;
+            sessionStorage.setItem('myRole', resp.role);
+        }
+        (resp.peers || []).forEach((peerId) => {
+            this.peers.add(peerId);
+            this._emit('peer-joined', { roomCode: this.roomCode, peerId });
+        });
+    }
+
     _bindSocketEvents() {
         const s = this.socket;
 
@@ -90,36 +198,42 @@ class SignalingClient {
 
         s.on('connect', () => {
             console.log('[Signaling] Connected:', s.id);
+            this._heartbeatPending = null;
+            this._missedHeartbeats = 0;
 
             if (this.state === ConnectionState.RECONNECTING) {
                 // Re-register with the server using new socket ID
                 this._clearReconnectTimer();
-                s.emit('rejoin-room', { roomCode: this.roomCode, role: this.role });
+                this.rejoin();
                 this._emit('reconnected');
                 return;
             }
 
             // First connection — join or create the room
             if (this.role === 'user1') {
-                s.emit('create-room', this.roomCode, (resp) => {
+                const options = { token: this.seatToken, lifetime: sessionStorage.getItem('roomLifetime') };
+                s.emit('create-room', this.roomCode, options, (resp) => {
                     if (!resp.success) {
-                        this._emit('error', resp.msg || 'Could not create room.');
+                        this._emit('error', resp.msg || 'Could not create room.', resp.code);
                         return;
                     }
                     this.state = ConnectionState.ROOM_JOINED;
                     this._emit('state-change', this.state);
-                    this._emit('room-ready');
+                    this.expiresAt = resp.expiresAt ? new Date(resp.expiresAt) : null;
+                    this._emit('room-ready', { expiresAt: this.expiresAt });
+                    this._applySeat(resp); // peers already here if user1 reclaimed the room
                 });
-            } else if (this.role === 'user2') {
-                s.emit('join-room', this.roomCode, (resp) => {
+            } else {
+                s.emit('join-room', this.roomCode, this.seatToken, (resp) => {
                     if (!resp.success) {
-                        this._emit('error', resp.msg || 'Could not join room.');
+                        this._emit('error', resp.msg || 'Could not join room.', resp.code);
                         return;
                     }
                     this.state = ConnectionState.ROOM_JOINED;
                     this._emit('state-change', this.state);
-                    this._emit('room-ready');
-                    this._emit('peer-joined'); // user2 knows peer is already here
+                    this.expiresAt = resp.expiresAt ? new Date(resp.expiresAt) : null;
+                    this._emit('room-ready', { expiresAt: this.expiresAt });
+                    this._applySeat(resp); // joiner knows who is already here
                 });
             }
         });
@@ -135,17 +249,36 @@ class SignalingClient {
         // ─── Room Events ─────────────────────────────────────
 
         s.on('start-chat', (data) => {
+            if (data && data.peerId) this.peers.add(data.peerId);
             this.state = ConnectionState.ROOM_JOINED;
             this._emit('state-change', this.state);
             this._emit('peer-joined', data);
         });
 
-        s.on('peer-left', () => {
-            this._emit('peer-left');
+        s.on('peer-left', (data = {}) => {
+            this.peers.delete(data.peerId);
+            this._emit('peer-left', data);
+        });
+
+        // peerId set: renegotiate with that peer only; absent: with everyone
+        s.on('restart-webrtc', (data = {}) => {
+            this._emit('restart-webrtc', data.peerId);
+        });
+
+        s.on('room-expired', () => {
+            this._clearSeatToken();
+            this._emit('room-expired');
         });
 
-        s.on('restart-webrtc', () => {
-            this._emit('restart-webrtc');
+        // Server refused our seat token (hijack attempt or seat lost)
+        s.on('room-error', ({ code, msg } = {}) => {
+            console.warn('[Signaling] Room error:', code, msg);
+            if (code === 'NOT_IN_ROOM') {
+                // Signaling raced ahead of a rejoin; not fatal, the restart resends it
+                this._emit('signaling-dropped', msg);
+                return;
+            }
+            this._emit('error', msg || 'Room error.', code);
         });
 
         // ─── WebRTC Signaling Relay ──────────────────────────
@@ -154,29 +287,60 @@ class SignalingClient {
         s.on('answer', (data) => this._emit('answer', data));
         s.on('ice-candidate', (data) => this._emit('ice-candidate', data));
 
+        // ─── Mailbox ─────────────────────────────────────────
+
+        // Sealed messages held for us while we were away
+        s.on('mailbox', ({ items } = {}) => this._emit('mailbox', items || []));
+
         // ─── Heartbeat ───────────────────────────────────────
 
-        s.on('heartbeat-ack', () => {
+        s.on('heartbeat-ack', (seq) => {
             this._lastHeartbeatAck = Date.now();
+            this._missedHeartbeats = 0;
+            // Acks without our sequence number answer someone else's ping
+            const pending = this._heartbeatPending;
+            if (!pending || seq !== pending.seq) return;
+            this._heartbeatPending = null;
+            this.latency = Math.round(performance.now() - pending.sentAt);
+            this._emit('latency', this.latency);
         });
     }
 
     // ─── Signaling Emitters ────────────────────────────────
 
-    sendOffer(sdp) {
-        this.socket.emit('offer', { roomCode: this.roomCode, sdp });
+    // The server resolves our room from the socket; `to` picks the peer
+
+    sendOffer(sdp, to) {
+        this.socket.emit('offer', { token: this.seatToken, to, sdp });
     }
 
-    sendAnswer(sdp) {
-        this.socket.emit('answer', { roomCode: this.roomCode, sdp });
+    sendAnswer(sdp, to) {
+        this.socket.emit('answer', { token: this.seatToken, to, sdp });
     }
 
-    sendIceCandidate(candidate) {
-        this.socket.emit('ice-candidate', { roomCode: this.roomCode, candidate });
+    sendIceCandidate(candidate, to) {
+        this.socket.emit('ice-candidate', { token: this.seatToken, to, candidate });
+    }
+
+    /**
+     * Leave an encrypted payload on the server for a peer that is away.
+     * Resolves with the server's { success, code?, msg? }.
+     */
+    postToMailbox(to, payload) {
+        return new Promise((resolve) => {
+            if (!this.socket || !this.socket.connected) {
+                resolve({ success: false, msg: 'Not connected' });
+                return;
+            }
+            this.socket.timeout(10000).emit('mailbox-put', { token: this.seatToken, to, payload }, (err, resp) => {
+                resolve(err ? { success: false, msg: 'No reply from server' } : resp);
+            });
+        });
     }
 
     leave() {
-        this.socket.emit('leave-room', this.roomCode);
+        this.socket.emit('leave-room', { roomCode: this.roomCode, token: this.seatToken });
+        this._clearSeatToken();
         this._stopHeartbeat();
         this.socket.disconnect();
         this.state = ConnectionState.DISCONNECTED;
@@ -184,7 +348,13 @@ class SignalingClient {
     }
 
     rejoin() {
-        this.socket.emit('rejoin-room', { roomCode: this.roomCode, role: this.role });
+        this.socket.emit('rejoin-room', { roomCode: this.roomCode, role: this.role, token: this.seatToken }, (resp) => {
+            // Errors arrive via 'room-error'; a re-issued seat comes back here
+            if (!resp || !resp.success) return;
+            this.state = ConnectionState.ROOM_JOINED;
+            this._emit('state-change', this.state);
+            this._applySeat(resp);
+        });
     }
 
     // ─── Heartbeat ─────────────────────────────────────────
@@ -193,10 +363,29 @@ class SignalingClient {
         this._stopHeartbeat();
         this._lastHeartbeatAck = Date.now();
         this._heartbeatInterval = setInterval(() => {
-            if (this.socket && this.socket.connected) {
-                this.socket.emit('heartbeat');
+            if (!this.socket || !this.socket.connected) return;
+            if (this._heartbeatPending && ++this._missedHeartbeats >= HEARTBEAT_MAX_MISSED) {
+                this._dropStaleConnection();
+                return;
             }
-        }, 10000);
+            const seq = ++this._heartbeatSeq;
+            this._heartbeatPending = { seq, sentAt: performance.now() };
+            this.socket.emit('heartbeat', seq);
+        }, HEARTBEAT_INTERVAL_MS);
+    }
+
+    /**
+     * The socket still looks connected but the server stopped answering.
+     * Closing the transport makes Socket.io reconnect right away, and the
+     * 'connect' handler rejoins the room on the new socket.
+     */
+    _dropStaleConnection() {
+        const silentFor = Date.now() - this._lastHeartbeatAck;
+        console.warn(`[Signaling] No heartbeat ack for ${silentFor} ms, reconnecting`);
+        this._heartbeatPending = null;
+        this._missedHeartbeats = 0;
+        this.latency = null;
+        this.socket.io.engine.close();
     }
 
     _stopHeartbeat() {
@@ -237,300 +426,1094 @@ class SignalingClient {
 //  PEER MANAGER (WebRTC wrapper)
 // ═══════════════════════════════════════════════════════════════
 
+/**
+ * Seat number of a peer ID (`user3` → 3). The lower seat of each pair
+ * creates the data channel and sends the first offer.
+ */
+function seatNumber(peerId) {
+    return parseInt(String(peerId).replace(/\D/g, ''), 10) || 0;
+}
+
 class PeerManager {
-    constructor(signaling, roomCode, role) {
+    constructor(signaling, roomCode) {
         this.signaling = signaling;
         this.roomCode = roomCode;
-        this.role = role;
 
-        this.peerConnection = null;
-        this.dataChannel = null;
+        /**
+         * One entry per remote peer.
+         * @type {Map<string, { peerId: string, pc: RTCPeerConnection, dataChannel: RTCDataChannel,
+         *                      fileChannel: RTCDataChannel, retryQueue: string[], retryInterval: number,
+         *                      ready: Promise, quality?: object }>}
+         */
+        this.links = new Map();
         this.localStream = null;
-        this.remoteStream = null;
         this.iceConfig = null;
+        this._iceConfigExpiresAt = 0;
+        this.iceRegion = null; // preferred ICE server region, if the deployment has several
+
+        /**
+         * Active screen share: the captured stream, and when it has system
+         * audio, the Web Audio graph mixing it into the microphone.
+         * @type {{ stream: MediaStream, audioContext: AudioContext|null, mix: MediaStreamAudioDestinationNode|null,
+         *           micSource: MediaStreamAudioSourceNode|null, mixedTrack: MediaStreamTrack|null }|null}
+         */
+        this.screenShare = null;
+
+        this._statsTimer = null;
+
+        /**
+         * The call we are in or being asked into; null when idle.
+         * @type {{ id: string, type: 'audio'|'video', direction: 'in'|'out', state: string,
+         *          peerId: string|null, pending: Set<string>, ringing: Set<string>,
+         *          peers: Set<string>, timer: number|null, starting?: boolean }|null}
+         */
+        this.call = null;
+        this.secure = null; // SecureSession carrying call signaling
 
         this._listeners = {};
-        this.retryQueue = [];
-        this._retryInterval = null;
-        this.hasEverConnected = false;
+        this.retryQueue = []; // messages sent before any peer link existed
+        this._everConnected = new Set();
 
         this._bindSignalingEvents();
     }
 
+    /**
+     * Our own seat — read from the signaling client, since the server may
+     * assign a different seat than the one we asked for.
+     */
+    get role() {
+        return this.signaling.role;
+    }
+
+    /**
+     * Send and receive call signaling through an encrypting channel
+     * (a SecureSession) rather than as plaintext on the data channel.
+     * Calls cannot be placed or answered until this is set.
+     */
+    useSecureChannel(secure) {
+        this.secure = secure;
+        secure.on('message', (msg, peerId) => this._onCallMessage(msg, peerId));
+    }
+
     on(event, fn) {
         if (!this._listeners[event]) this._listeners[event] = [];
         this._listeners[event].push(fn);
         return this;
     }
 
+    off(event, fn) {
+        this._listeners[event] = (this._listeners[event] || []).filter(f => f !== fn);
+        return this;
+    }
+
     _emit(event, ...args) {
         (this._listeners[event] || []).forEach(fn => fn(...args));
     }
 
+    _isOfferer(peerId) {
+        return seatNumber(this.role) < seatNumber(peerId);
+    }
+
     // ─── Fetch ICE Config from Server ──────────────────────
 
+    /**
+     * Relay-only (a per-device preference): connect through TURN only, so
+     * peers never learn our host or public IP addresses.
+     */
+    static isRelayOnly() {
+        return localStorage.getItem(RELAY_ONLY_KEY) === '1';
+    }
+
+    /**
+     * Switch relay-only on or off, and move existing links over with an
+     * ICE restart.
+     * @returns {Promise<object>} the ICE config now in use
+     */
+    async setRelayOnly(on) {
+        if (on) localStorage.setItem(RELAY_ONLY_KEY, '1');
+        else localStorage.removeItem(RELAY_ONLY_KEY);
+        this._iceConfigExpiresAt = 0;
+        const { iceServers, iceTransportPolicy } = await this._fetchIceConfig();
+        this.links.forEach(({ pc, peerId }) => {
+            if (!pc || pc.connectionState === 'closed') return;
+            pc.setConfiguration({ ...pc.getConfiguration(), iceServers, iceTransportPolicy });
+            this._attemptIceRestart(peerId);
+        });
+        return this.iceConfig;
+    }
+
+    _iceConfigExpired() {
+        return !this.iceConfig || Date.now() >= this._iceConfigExpiresAt - ICE_REFRESH_MARGIN_MS;
+    }
+
+    /**
+     * ICE servers for new connections. TURN credentials are short-lived
+     * and tied to our seat, so they are fetched again once they expire.
+     * A failed refresh keeps the last config; a deployment may be
+     * relay-only, so there is no fallback to plain STUN.
+     * @throws {Error} if the fetch fails and no config was ever loaded
+     */
     async _fetchIceConfig() {
-        if (this.iceConfig) return this.iceConfig;
+        if (!this._iceConfigExpired()) return this.iceConfig;
 
         try {
-            const resp = await fetch('/api/ice-config');
-            this.iceConfig = await resp.json();
+            const resp = await fetch('/api/ice-config', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    roomCode: this.roomCode,
+                    socketId: this.signaling.socket && this.signaling.socket.id,
+                    token: this.signaling.seatToken,
+                    region: this.iceRegion || undefined,
+                    relayOnly: PeerManager.isRelayOnly(),
+                }),
+            });
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            const { ttl, ...config } = await resp.json();
+            this.iceConfig = config;
+            this._iceConfigExpiresAt = ttl ? Date.now() + ttl * 1000 : Infinity;
         } catch (err) {
-            console.warn('[Peer] Failed to fetch ICE config, using defaults:', err);
-            this.iceConfig = {
-                iceServers: [
-                    { urls: 'stun:stun.l.google.com:19302' },
-                    { urls: 'stun:stun1.l.google.com:19302' },
-                ],
-                iceCandidatePoolSize: 10,
-            };
+            if (!this.iceConfig) throw err;
+            console.warn('[Peer] Failed to refresh ICE config, keeping the last one:', err);
+            this._iceConfigExpiresAt = Date.now() + ICE_REFRESH_MARGIN_MS + ICE_RETRY_MS;
         }
+        // Enforced here too: a relay-only user must not leak candidates if the server ignores the request
+        if (PeerManager.isRelayOnly()) this.iceConfig.iceTransportPolicy = 'relay';
         return this.iceConfig;
     }
 
     // ─── Setup WebRTC ──────────────────────────────────────
 
-    async setup() {
-        if (this.peerConnection) return; // Already set up
+    /**
+     * Set up the connection to one peer, or to every known peer when
+     * called without an ID. Safe to call repeatedly.
+     */
+    setup(peerId) {
+        if (!peerId) {
+            return Promise.all([...this.signaling.peers].map(id => this.setup(id)));
+        }
 
-        const config = await this._fetchIceConfig();
-        this.peerConnection = new RTCPeerConnection(config);
+        if (!this.links.has(peerId)) {
+            const link = { peerId, pc: null, dataChannel: null, fileChannel: null, retryQueue: [], retryInterval: null };
+            link.ready = this._createLink(link);
+            this.links.set(peerId, link);
+        }
+        return this.links.get(peerId).ready;
+    }
+
+    async _createLink(link) {
+        const { peerId } = link;
+        let config = null;
+        while (!config) {
+            try {
+                config = await this._fetchIceConfig();
+            } catch (err) {
+                console.error(`[Peer] No ICE config, retrying in ${ICE_RETRY_MS / 1000}s:`, err);
+                await new Promise(resolve => setTimeout(resolve, ICE_RETRY_MS));
+            }
+            if (this.links.get(peerId) !== link) return link; // Cleaned up meanwhile
+        }
+
+        const pc = new RTCPeerConnection(config);
+        link.pc = pc;
 
         // ICE connection state monitoring
-        this.peerConnection.oniceconnectionstatechange = () => {
-            const state = this.peerConnection.iceConnectionState;
-            console.log('[Peer] ICE state:', state);
+        pc.oniceconnectionstatechange = () => {
+            const state = pc.iceConnectionState;
+            console.log(`[Peer] ICE state (${peerId}):`, state);
 
             if (state === 'connected' || state === 'completed') {
-                this._emit('connected', !this.hasEverConnected);
-                this.hasEverConnected = true;
+                this._emit('connected', !this._everConnected.has(peerId), peerId);
+                this._everConnected.add(peerId);
             } else if (state === 'disconnected') {
-                this._emit('ice-disconnected');
+                this._emit('ice-disconnected', peerId);
                 // Try ICE restart first before full restart
-                this._attemptIceRestart();
+                this._attemptIceRestart(peerId);
             } else if (state === 'failed') {
-                this._emit('ice-failed');
-                this.restart();
+                this._emit('ice-failed', peerId);
+                this.restart(peerId);
             }
         };
 
         // ICE candidates
-        this.peerConnection.onicecandidate = (event) => {
+        pc.onicecandidate = (event) => {
             if (event.candidate) {
-                this.signaling.sendIceCandidate(event.candidate);
+                this.signaling.sendIceCandidate(event.candidate, peerId);
             }
         };
 
         // Remote tracks (video/audio)
-        this.peerConnection.ontrack = (event) => {
-            this._emit('remote-track', event);
+        pc.ontrack = (event) => {
+            this._emit('remote-track', event, peerId);
         };
 
-        // Data channel setup
-        if (this.role === 'user1') {
-            this.dataChannel = this.peerConnection.createDataChannel('chat');
-            this._bindDataChannel();
+        // Share an ongoing call with a call peer whose link is rebuilt mid-call
+        if (this.localStream && this.call && this.call.peers.has(peerId)) {
+            this.localStream.getTracks().forEach(track => pc.addTrack(this._outgoingTrack(track), this.localStream));
+        }
+
+        // Data channel setup — 'chat' for messages, 'files' for bulk transfers
+        // so a large file never holds up chat messages behind it
+        if (this._isOfferer(peerId)) {
+            link.dataChannel = pc.createDataChannel('chat');
+            this._bindDataChannel(link);
+            link.fileChannel = pc.createDataChannel('files');
+            this._bindFileChannel(link);
 
             try {
-                const offer = await this.peerConnection.createOffer();
-                await this.peerConnection.setLocalDescription(offer);
-                this.signaling.sendOffer(this.peerConnection.localDescription);
+                const offer = await pc.createOffer();
+                await pc.setLocalDescription(offer);
+                this.signaling.sendOffer(pc.localDescription, peerId);
             } catch (err) {
                 console.error('[Peer] Error creating offer:', err);
             }
         } else {
-            this.peerConnection.ondatachannel = (event) => {
-                this.dataChannel = event.channel;
-                this._bindDataChannel();
+            pc.ondatachannel = (event) => {
+                if (event.channel.label === 'files') {
+                    link.fileChannel = event.channel;
+                    this._bindFileChannel(link);
+                    return;
+                }
+                link.dataChannel = event.channel;
+                this._bindDataChannel(link);
             };
         }
+        return link;
     }
 
     // ─── Data Channel ──────────────────────────────────────
 
-    _bindDataChannel() {
-        if (!this.dataChannel) return;
+    _bindDataChannel(link) {
+        const channel = link.dataChannel;
+        if (!channel) return;
+        const { peerId } = link;
 
-        this.dataChannel.onopen = () => {
-            console.log('[Peer] Data channel open');
-            this._emit('datachannel-open');
+        channel.onopen = () => {
+            console.log(`[Peer] Data channel open (${peerId})`);
+            this._emit('datachannel-open', peerId);
 
-            // Flush retry queue
-            while (this.retryQueue.length > 0 && this.dataChannel && this.dataChannel.readyState === 'open') {
-                this.dataChannel.send(this.retryQueue.shift());
-            }
-            if (this.retryQueue.length === 0 && this._retryInterval) {
-                clearInterval(this._retryInterval);
-                this._retryInterval = null;
-            }
+            // Messages sent before any link existed go to the first peer online
+            link.retryQueue.unshift(...this.retryQueue.splice(0));
+            this._flushRetryQueue(link);
         };
 
-        this.dataChannel.onmessage = (e) => {
-            this._emit('datachannel-message', e.data);
+        channel.onmessage = (e) => {
+            this._emit('datachannel-message', e.data, peerId);
         };
 
-        this.dataChannel.onerror = (e) => {
-            console.error('[Peer] Data channel error:', e);
-            this._emit('datachannel-error', e);
+        channel.onerror = (e) => {
+            console.error(`[Peer] Data channel error (${peerId}):`, e);
+            this._emit('datachannel-error', e, peerId);
         };
 
-        this.dataChannel.onclose = () => {
-            console.log('[Peer] Data channel closed');
-            this._emit('datachannel-close');
+        channel.onclose = () => {
+            console.log(`[Peer] Data channel closed (${peerId})`);
+            this._emit('datachannel-close', peerId);
+        };
+    }
+
+    _bindFileChannel(link) {
+        const channel = link.fileChannel;
+        if (!channel) return;
+        const { peerId } = link;
+        channel.binaryType = 'arraybuffer';
+
+        channel.onopen = () => {
+            console.log(`[Peer] File channel open (${peerId})`);
+            this._emit('file-channel-open', peerId);
+        };
+
+        channel.onmessage = (e) => {
+            this._emit('file-channel-message', e.data, peerId);
+        };
+
+        channel.onerror = (e) => {
+            console.error(`[Peer] File channel error (${peerId}):`, e);
+        };
+
+        channel.onclose = () => {
+            console.log(`[Peer] File channel closed (${peerId})`);
+            this._emit('file-channel-close', peerId);
         };
     }
 
     /**
-     * Send data through the data channel with retry support.
+     * The open file channel to a peer, or null. Callers handle their own
+     * backpressure, so nothing is queued here.
      */
-    send(data) {
-        if (this.dataChannel && this.dataChannel.readyState === 'open') {
-            this.dataChannel.send(data);
+    fileChannel(peerId) {
+        const link = this.links.get(peerId);
+        const channel = link && link.fileChannel;
+        return channel && channel.readyState === 'open' ? channel : null;
+    }
+
+    _flushRetryQueue(link) {
+        while (link.retryQueue.length > 0 && link.dataChannel && link.dataChannel.readyState === 'open') {
+            link.dataChannel.send(link.retryQueue.shift());
+        }
+        if (link.retryQueue.length === 0 && link.retryInterval) {
+            clearInterval(link.retryInterval);
+            link.retryInterval = null;
+        }
+    }
+
+    _sendTo(link, data) {
+        if (link.dataChannel && link.dataChannel.readyState === 'open') {
+            link.dataChannel.send(data);
             return true;
         }
 
         // Queue for retry
-        this.retryQueue.push(data);
-        if (!this._retryInterval) {
-            this._retryInterval = setInterval(() => {
-                while (this.retryQueue.length > 0 && this.dataChannel && this.dataChannel.readyState === 'open') {
-                    this.dataChannel.send(this.retryQueue.shift());
-                }
-                if (this.retryQueue.length === 0) {
-                    clearInterval(this._retryInterval);
-                    this._retryInterval = null;
-                }
-            }, 2000);
+        link.retryQueue.push(data);
+        if (!link.retryInterval) {
+            link.retryInterval = setInterval(() => this._flushRetryQueue(link), 2000);
         }
         return false;
     }
 
     /**
-     * Check if data channel is open.
+     * Send data to one peer, or to every peer when no ID is given,
+     * with retry support.
+     * @returns {boolean} true if it went out immediately to every target
      */
-    isDataChannelOpen() {
-        return this.dataChannel && this.dataChannel.readyState === 'open';
+    send(data, peerId) {
+        if (peerId) {
+            const link = this.links.get(peerId);
+            return link ? this._sendTo(link, data) : false;
+        }
+
+        if (this.links.size === 0) {
+            this.retryQueue.push(data);
+            return false;
+        }
+
+        let sentToAll = true;
+        this.links.forEach((link) => {
+            if (!this._sendTo(link, data)) sentToAll = false;
+        });
+        return sentToAll;
+    }
+
+    /**
+     * Check if the data channel to a peer (or to any peer) is open.
+     */
+    isDataChannelOpen(peerId) {
+        const isOpen = (link) => !!link && !!link.dataChannel && link.dataChannel.readyState === 'open';
+        if (peerId) return isOpen(this.links.get(peerId));
+        return [...this.links.values()].some(isOpen);
+    }
+
+    /**
+     * Seat names of peers whose data channel is currently open.
+     */
+    openPeers() {
+        return [...this.links.keys()].filter(id => this.isDataChannelOpen(id));
     }
 
     // ─── Signaling Event Handlers ──────────────────────────
 
     _bindSignalingEvents() {
-        this.signaling.on('offer', async ({ sdp }) => {
+        this.signaling.on('peer-left', ({ peerId } = {}) => this._onCallPeerLeft(peerId));
+
+        this.signaling.on('offer', async ({ from, sdp }) => {
             try {
-                if (!this.peerConnection) await this.setup();
-                await this.peerConnection.setRemoteDescription(new RTCSessionDescription(sdp));
-                const answer = await this.peerConnection.createAnswer();
-                await this.peerConnection.setLocalDescription(answer);
-                this.signaling.sendAnswer(this.peerConnection.localDescription);
+                const { pc } = await this.setup(from);
+                if (!pc) return;
+                await pc.setRemoteDescription(new RTCSessionDescription(sdp));
+                const answer = await pc.createAnswer();
+                await pc.setLocalDescription(answer);
+                this.signaling.sendAnswer(pc.localDescription, from);
             } catch (err) {
                 console.error('[Peer] Error handling offer:', err);
             }
         });
 
-        this.signaling.on('answer', async ({ sdp }) => {
+        this.signaling.on('answer', async ({ from, sdp }) => {
             try {
-                if (!this.peerConnection) return;
-                await this.peerConnection.setRemoteDescription(new RTCSessionDescription(sdp));
+                const link = this.links.get(from);
+                if (!link || !link.pc) return;
+                await link.pc.setRemoteDescription(new RTCSessionDescription(sdp));
             } catch (err) {
                 console.error('[Peer] Error handling answer:', err);
             }
         });
 
-        this.signaling.on('ice-candidate', ({ candidate }) => {
-            if (this.peerConnection && candidate) {
-                this.peerConnection.addIceCandidate(new RTCIceCandidate(candidate)).catch((err) => {
+        this.signaling.on('ice-candidate', ({ from, candidate }) => {
+            const link = this.links.get(from);
+            if (link && link.pc && candidate) {
+                link.pc.addIceCandidate(new RTCIceCandidate(candidate)).catch((err) => {
                     console.error('[Peer] Error adding ICE candidate:', err);
                 });
             }
         });
-
-        this.signaling.on('restart-webrtc', () => {
-            this.restart();
-        });
     }
 
     // ─── ICE Restart ───────────────────────────────────────
 
-    async _attemptIceRestart() {
-        if (!this.peerConnection) return;
+    async _attemptIceRestart(peerId) {
+        const link = this.links.get(peerId);
+        if (!link || !link.pc) return;
         try {
-            console.log('[Peer] Attempting ICE restart...');
-            const offer = await this.peerConnection.createOffer({ iceRestart: true });
-            await this.peerConnection.setLocalDescription(offer);
-            this.signaling.sendOffer(this.peerConnection.localDescription);
+            console.log(`[Peer] Attempting ICE restart (${peerId})...`);
+            // New relay candidates need TURN credentials that are still valid
+            if (this._iceConfigExpired()) {
+                const { iceServers, iceTransportPolicy } = await this._fetchIceConfig();
+                link.pc.setConfiguration({ ...link.pc.getConfiguration(), iceServers, iceTransportPolicy });
+            }
+            const offer = await link.pc.createOffer({ iceRestart: true });
+            await link.pc.setLocalDescription(offer);
+            this.signaling.sendOffer(link.pc.localDescription, peerId);
         } catch (err) {
             console.error('[Peer] ICE restart failed, doing full restart:', err);
-            this.restart();
+            this.restart(peerId);
         }
     }
 
     // ─── Full Restart ──────────────────────────────────────
 
-    restart() {
-        console.log('[Peer] Full WebRTC restart');
-        this.cleanup();
+    restart(peerId) {
+        console.log(`[Peer] Full WebRTC restart (${peerId || 'all peers'})`);
+        this.cleanup(peerId);
         this.signaling.rejoin();
         // setup() will be called when 'start-chat' / 'restart-webrtc' arrives
     }
 
     // ─── Cleanup ───────────────────────────────────────────
 
-    cleanup() {
-        if (this.peerConnection) {
-            this.peerConnection.close();
-            this.peerConnection = null;
-        }
-        this.dataChannel = null;
-        this.retryQueue = [];
-        if (this._retryInterval) {
-            clearInterval(this._retryInterval);
-            this._retryInterval = null;
-        }
+    /**
+     * Tear down the link to one peer, or to every peer when no ID is given.
+     */
+    cleanup(peerId) {
+        const links = peerId ? [this.links.get(peerId)].filter(Boolean) : [...this.links.values()];
+        links.forEach((link) => {
+            if (link.pc) link.pc.close();
+            if (link.retryInterval) clearInterval(link.retryInterval);
+            this.links.delete(link.peerId);
+        });
+        if (!peerId) this.retryQueue = [];
     }
 
     // ─── Media (Video/Audio) ───────────────────────────────
 
-    async startMedia(isVideo = true) {
-        if (!this.peerConnection) await this.setup();
+    /**
+     * Acquire camera/mic and add them to the links of the given peers.
+     * @param {boolean} [negotiate] send offers; the callee leaves that to the
+     *                              caller so both sides don't offer at once
+     * @param {Iterable<string>} [peerIds] who gets our media (default: every
+     *        link); a live Set also covers peers added while media starts
+     */
+    async startMedia(isVideo = true, negotiate = true, peerIds = this.links.keys()) {
+        await this.setup();
 
         if (!this.localStream) {
             const constraints = isVideo
                 ? { video: true, audio: true }
                 : { video: false, audio: true };
-            this.localStream = await navigator.mediaDevices.getUserMedia(constraints);
+            try {
+                this.localStream = await navigator.mediaDevices.getUserMedia(constraints);
+            } catch (err) {
+                if (!isVideo || !CAMERA_UNAVAILABLE_ERRORS.includes(err.name)) throw err;
+                // No usable camera: still place the call, with audio only
+                this.localStream = await navigator.mediaDevices.getUserMedia({ video: false, audio: true });
+                this._emit('audio-only', 'camera-unavailable');
+            }
+            this._startStatsCollector();
         }
 
-        // Add tracks (avoid duplicates)
-        const existingTrackIds = this.peerConnection.getSenders().map(s => s.track && s.track.id);
-        this.localStream.getTracks().forEach((track) => {
-            if (!existingTrackIds.includes(track.id)) {
-                this.peerConnection.addTrack(track, this.localStream);
-            }
-        });
+        for (const peerId of peerIds) {
+            const link = this.links.get(peerId);
+            if (!link || !link.pc) continue;
+
+            // Add tracks (avoid duplicates)
+            const existingTrackIds = link.pc.getSenders().map(s => s.track && s.track.id);
+            this.localStream.getTracks().forEach((track) => {
+                const outgoing = this._outgoingTrack(track);
+                if (!existingTrackIds.includes(outgoing.id)) {
+                    link.pc.addTrack(outgoing, this.localStream);
+                }
+            });
+            if (!negotiate) continue;
 
-        // Create & send offer
-        const offer = await this.peerConnection.createOffer();
-        await this.peerConnection.setLocalDescription(offer);
-        this.signaling.sendOffer(this.peerConnection.localDescription);
+            // Without a camera of our own, still ask for the peer's video
+            const hasVideo = link.pc.getTransceivers().some(t => t.receiver.track && t.receiver.track.kind === 'video');
+            if (isVideo && !hasVideo) link.pc.addTransceiver('video', { direction: 'recvonly' });
+
+            // Create & send offer
+            const offer = await link.pc.createOffer();
+            await link.pc.setLocalDescription(offer);
+            this.signaling.sendOffer(link.pc.localDescription, peerId);
+        }
 
         return this.localStream;
     }
 
     stopMedia() {
+        this._stopStatsCollector();
+        this.stopScreenShare();
         if (this.localStream) {
             this.localStream.getTracks().forEach(t => t.stop());
             this.localStream = null;
         }
-        if (this.remoteStream) {
-            this.remoteStream.getTracks().forEach(t => t.stop());
-            this.remoteStream = null;
+        this.links.forEach((link, peerId) => this._detachMedia(peerId));
+    }
+
+    /**
+     * Stop sending our media to one peer (it left a call that goes on).
+     */
+    _detachMedia(peerId) {
+        const link = this.links.get(peerId);
+        if (!link || !link.pc) return;
+        link.pc.getSenders().forEach((sender) => {
+            if (sender.track) {
+                try { link.pc.removeTrack(sender); } catch (e) { }
+            }
+        });
+    }
+
+    // ─── Screen Sharing ────────────────────────────────────
+
+    get isScreenSharing() {
+        return !!this.screenShare;
+    }
+
+    /**
+     * What actually goes out for one of our camera/mic tracks: the screen
+     * (and camera audio mixed with system audio) while sharing.
+     */
+    _outgoingTrack(track) {
+        if (!this.screenShare) return track;
+        if (track.kind === 'video') return this.screenShare.stream.getVideoTracks()[0] || track;
+        return this.screenShare.mixedTrack || track;
+    }
+
+    /**
+     * Point every peer's video and audio senders at the current outgoing
+     * tracks. replaceTrack() swaps media on the existing transceivers, so
+     * no new offer/answer round is needed.
+     */
+    async _applyOutgoingTracks() {
+        if (!this.localStream) return;
+        const jobs = [];
+        this.links.forEach(({ pc }) => {
+            if (!pc) return;
+            pc.getSenders().forEach((sender) => {
+                if (!sender.track) return;
+                const own = this.localStream.getTracks().find(t => t.kind === sender.track.kind);
+                if (own) jobs.push(sender.replaceTrack(this._outgoingTrack(own)));
+            });
+        });
+        await Promise.all(jobs);
+    }
+
+    /**
+     * Share the screen instead of the camera. System audio (where the
+     * browser offers it) is mixed into the microphone track.
+     * @returns {Promise<MediaStream>} the captured screen, for a local preview
+     */
+    async startScreenShare() {
+        if (this.screenShare) return this.screenShare.stream;
+        if (!this.localStream || this.localStream.getVideoTracks().length === 0) {
+            throw new Error('Screen sharing needs a video call.');
         }
-        if (this.peerConnection) {
-            this.peerConnection.getSenders().forEach((sender) => {
-                if (sender.track) {
-                    try { this.peerConnection.removeTrack(sender); } catch (e) { }
-                }
+
+        const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+        const [screenTrack] = stream.getVideoTracks();
+        if ('contentHint' in screenTrack) screenTrack.contentHint = 'detail';
+
+        let audioContext = null;
+        let mix = null;
+        let micSource = null;
+        let mixedTrack = null;
+        const micTrack = this.localStream.getAudioTracks()[0];
+        if (stream.getAudioTracks().length > 0 && micTrack) {
+            audioContext = new AudioContext();
+            mix = audioContext.createMediaStreamDestination();
+            micSource = audioContext.createMediaStreamSource(new MediaStream([micTrack]));
+            micSource.connect(mix);
+            audioContext.createMediaStreamSource(new MediaStream(stream.getAudioTracks())).connect(mix);
+            [mixedTrack] = mix.stream.getAudioTracks();
+        }
+
+        this.screenShare = { stream, audioContext, mix, micSource, mixedTrack };
+        // The browser's own "Stop sharing" control ends the track
+        screenTrack.onended = () => this.stopScreenShare();
+
+        await this._applyOutgoingTracks();
+        this._emit('screen-share', true);
+        return stream;
+    }
+
+    /**
+     * Go back to the camera. Safe to call when not sharing.
+     */
+    async stopScreenShare() {
+        const share = this.screenShare;
+        if (!share) return;
+        this.screenShare = null;
+        share.stream.getTracks().forEach(t => t.stop());
+        if (share.audioContext) share.audioContext.close().catch(() => { });
+
+        await this._applyOutgoingTracks().catch((err) => {
+            console.error('[Peer] Could not restore camera:', err);
+        });
+        this._emit('screen-share', false);
+    }
+
+    // ─── In-Call Device Controls ───────────────────────────
+
+    /**
+     * Whether our microphone / camera are currently sending.
+     * @returns {{ audio: boolean, video: boolean }}
+     */
+    get mediaState() {
+        const enabled = kind => !!this.localStream
+            && this.localStream.getTracks().some(t => t.kind === kind && t.enabled);
+        return { audio: enabled('audio'), video: enabled('video') };
+    }
+
+    /**
+     * Mute / unmute ('audio') or turn the camera off / on ('video'). A
+     * disabled track keeps its sender and sends silence / black frames.
+     */
+    setTrackEnabled(kind, on) {
+        if (!this.localStream) return;
+        this.localStream.getTracks().forEach((track) => {
+            if (track.kind === kind) track.enabled = on;
+        });
+        this._emit('media-state', this.mediaState);
+    }
+
+    /**
+     * Microphones and cameras, for a device picker. Labels are empty until
+     * the page has been granted media access once.
+     */
+    async listDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return {
+            audio: devices.filter(d => d.kind === 'audioinput'),
+            video: devices.filter(d => d.kind === 'videoinput'),
+        };
+    }
+
+    /** Device ID behind our current 'audio' or 'video' track, if any. */
+    currentDevice(kind) {
+        const track = this.localStream && this.localStream.getTracks().find(t => t.kind === kind);
+        return track ? track.getSettings().deviceId : null;
+    }
+
+    /**
+     * Swap the microphone or camera mid-call. The new track replaces the old
+     * one on every sender, so the call carries on without renegotiation.
+     */
+    async switchDevice(kind, deviceId) {
+        const old = this.localStream && this.localStream.getTracks().find(t => t.kind === kind);
+        if (!old) throw new Error(`No ${kind} in this call.`);
+        if (old.getSettings().deviceId === deviceId) return old;
+
+        const fresh = await navigator.mediaDevices.getUserMedia({ [kind]: { deviceId: { exact: deviceId } } });
+        const [track] = fresh.getTracks();
+        track.enabled = old.enabled;
+        this.localStream.removeTrack(old);
+        this.localStream.addTrack(track);
+        old.stop();
+
+        // Screen share with system audio: feed the new microphone into the mix
+        const share = this.screenShare;
+        if (kind === 'audio' && share && share.micSource) {
+            share.micSource.disconnect();
+            share.micSource = share.audioContext.createMediaStreamSource(new MediaStream([track]));
+            share.micSource.connect(share.mix);
+        }
+
+        await this._applyOutgoingTracks();
+        this._emit('media-state', this.mediaState);
+        return track;
+    }
+
+    // ─── Call Quality ──────────────────────────────────────
+
+    _startStatsCollector() {
+        this._stopStatsCollector();
+        this._statsTimer = setInterval(() => this._collectStats(), STATS_INTERVAL_MS);
+    }
+
+    _stopStatsCollector() {
+        clearInterval(this._statsTimer);
+        this._statsTimer = null;
+        this.links.forEach((link) => { delete link.quality; });
+    }
+
+    async _collectStats() {
+        for (const link of this.links.values()) {
+            if (!link.pc || link.pc.connectionState === 'closed') continue;
+            let report;
+            try {
+                report = await link.pc.getStats();
+            } catch (err) {
+                continue; // link closed while we were asking
+            }
+            if (!link.quality) link.quality = { prev: null, step: 0, cleanSamples: 0, poorSamples: 0 };
+            const sample = this._summarizeStats(report, link.quality);
+            this._emit('stats', link.peerId, sample);
+            await this._adaptVideo(link, sample);
+            if (!this._statsTimer) return; // the call ended meanwhile
+        }
+    }
+
+    /**
+     * Reduce one getStats() report to what the call UI shows. Rates and
+     * inbound loss are deltas against the previous report for the link.
+     * @returns {{ rtt: number|null, jitter: number|null, lossIn: number, lossOut: number,
+     *             bitrateIn: number, bitrateOut: number, availableOutgoingBitrate: number|null,
+     *             resolutionIn: string|null, resolutionOut: string|null,
+     *             candidateType: string|null, remoteCandidateType: string|null }}
+     */
+    _summarizeStats(report, quality) {
+        const now = { timestamp: 0, bytesIn: 0, bytesOut: 0, lost: 0, received: 0 };
+        const sample = {
+            rtt: null, jitter: null, lossIn: 0, lossOut: 0, bitrateIn: 0, bitrateOut: 0,
+            availableOutgoingBitrate: null, resolutionIn: null, resolutionOut: null,
+            candidateType: null, remoteCandidateType: null,
+        };
+        let pair = null;
+
+        report.forEach((stat) => {
+            now.timestamp = Math.max(now.timestamp, stat.timestamp || 0);
+            if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+                pair = report.get(stat.selectedCandidatePairId) || pair;
+            } else if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded' && !pair) {
+                pair = stat;
+            } else if (stat.type === 'inbound-rtp') {
+                now.bytesIn += stat.bytesReceived || 0;
+                now.lost += Math.max(stat.packetsLost || 0, 0);
+                now.received += stat.packetsReceived || 0;
+                if (stat.jitter !== undefined) sample.jitter = Math.max(sample.jitter || 0, stat.jitter * 1000);
+                if (stat.kind === 'video' && stat.frameWidth) sample.resolutionIn = `${stat.frameWidth}x${stat.frameHeight}`;
+            } else if (stat.type === 'outbound-rtp') {
+                now.bytesOut += stat.bytesSent || 0;
+                if (stat.kind === 'video' && stat.frameWidth) sample.resolutionOut = `${stat.frameWidth}x${stat.frameHeight}`;
+            } else if (stat.type === 'remote-inbound-rtp') {
+                sample.lossOut = Math.max(sample.lossOut, stat.fractionLost || 0);
+            }
+        });
+
+        if (pair) {
+            if (pair.currentRoundTripTime !== undefined) sample.rtt = pair.currentRoundTripTime * 1000;
+            if (pair.availableOutgoingBitrate !== undefined) sample.availableOutgoingBitrate = pair.availableOutgoingBitrate;
+            const local = report.get(pair.localCandidateId);
+            const remote = report.get(pair.remoteCandidateId);
+            sample.candidateType = local ? local.candidateType : null;
+            sample.remoteCandidateType = remote ? remote.candidateType : null;
+        }
+
+        const prev = quality.prev;
+        if (prev && now.timestamp > prev.timestamp) {
+            const seconds = (now.timestamp - prev.timestamp) / 1000;
+            sample.bitrateIn = Math.max(0, ((now.bytesIn - prev.bytesIn) * 8) / seconds);
+            sample.bitrateOut = Math.max(0, ((now.bytesOut - prev.bytesOut) * 8) / seconds);
+            const lost = now.lost - prev.lost;
+            const total = lost + (now.received - prev.received);
+            if (total > 0) sample.lossIn = Math.max(0, lost / total);
+        }
+        quality.prev = now;
+        return sample;
+    }
+
+    /**
+     * Step the outgoing video encoding down while the peer reports loss and
+     * back up once it clears. At the lowest step, persistent loss or too
+     * little bandwidth drops the call to audio only.
+     */
+    async _adaptVideo(link, sample) {
+        const sender = link.pc.getSenders().find(s => s.track && s.track.kind === 'video');
+        if (!sender) return;
+        const quality = link.quality;
+        const bottom = VIDEO_ENCODING_STEPS.length - 1;
+
+        let step = quality.step;
+        if (sample.lossOut > LOSS_STEP_DOWN) {
+            quality.cleanSamples = 0;
+            step = Math.min(step + 1, bottom);
+        } else if (sample.lossOut < LOSS_STEP_UP && ++quality.cleanSamples >= CLEAN_SAMPLES_TO_STEP_UP) {
+            quality.cleanSamples = 0;
+            step = Math.max(step - 1, 0);
+        }
+        if (step !== quality.step) {
+            try {
+                const params = sender.getParameters();
+                if (!params.encodings || params.encodings.length === 0) params.encodings = [{}];
+                Object.assign(params.encodings[0], VIDEO_ENCODING_STEPS[step]);
+                await sender.setParameters(params);
+                quality.step = step;
+                console.log(`[Peer] Video to ${link.peerId} at step ${step}:`, VIDEO_ENCODING_STEPS[step]);
+            } catch (err) {
+                console.warn('[Peer] Could not change video encoding:', err);
+            }
+        }
+
+        const poor = sample.lossOut > VIDEO_MAX_LOSS
+            || (sample.availableOutgoingBitrate !== null && sample.availableOutgoingBitrate < VIDEO_MIN_BITRATE);
+        quality.poorSamples = poor && quality.step === bottom ? quality.poorSamples + 1 : 0;
+        if (quality.poorSamples >= VIDEO_POOR_CHECKS) {
+            console.warn(`[Peer] Video to ${link.peerId} keeps failing, switching to audio only`);
+            await this.dropVideo('poor-network');
+        }
+    }
+
+    // ─── Audio-Only Fallback ───────────────────────────────
+
+    /**
+     * Stop sending video for the rest of the call. The senders stay and
+     * carry nothing, so no renegotiation is needed.
+     * @param {string} reason passed on with the 'audio-only' event
+     */
+    async dropVideo(reason) {
+        if (!this.localStream || this.localStream.getVideoTracks().length === 0) return;
+        await this.stopScreenShare();
+        this.localStream.getVideoTracks().forEach((track) => {
+            track.stop();
+            this.localStream.removeTrack(track);
+        });
+        const jobs = [];
+        this.links.forEach(({ pc }) => {
+            if (!pc) return;
+            pc.getSenders().forEach((sender) => {
+                if (sender.track && sender.track.kind === 'video') jobs.push(sender.replaceTrack(null));
             });
+        });
+        await Promise.all(jobs);
+        this._emit('audio-only', reason);
+        this._emit('media-state', this.mediaState);
+    }
+
+    // ─── Call Signaling ────────────────────────────────────
+
+    get callState() {
+        return this.call ? this.call.state : CallState.IDLE;
+    }
+
+    _sendCall(action, peerId, call = this.call) {
+        if (!this.secure) {
+            console.warn('[Peer] No secure channel, call signaling not sent');
+            return;
+        }
+        this.secure.send({ type: 'call', action, callId: call.id, callType: call.type }, peerId);
+    }
+
+    _setCallState(state) {
+        this.call.state = state;
+        this._emit('call-state', this.call);
+    }
+
+    /**
+     * Leave the call and report how it ended.
+     * @param {string} reason declined | busy | timeout | cancelled | missed | hangup | failed
+     * @param {string} [byPeerId] the peer whose action ended it, if not us
+     */
+    _endCall(reason, byPeerId) {
+        const call = this.call;
+        if (!call) return;
+        this.call = null;
+        clearTimeout(call.timer);
+        if (call.state === CallState.ACTIVE) this.stopMedia();
+        this._emit('call-ended', call, reason, byPeerId);
+    }
+
+    /**
+     * Ring everyone whose data channel is open. Media is only acquired once
+     * the first of them accepts.
+     */
+    startCall(callType) {
+        if (this.call) throw new Error('A call is already in progress.');
+        const invited = this.openPeers();
+        if (invited.length === 0) throw new Error('Nobody is online to call.');
+
+        this.call = {
+            id: Array.from(crypto.getRandomValues(new Uint8Array(8)), b => b.toString(16).padStart(2, '0')).join(''),
+            type: callType === 'video' ? 'video' : 'audio',
+            direction: 'out',
+            state: CallState.INVITING,
+            peerId: null,
+            pending: new Set(invited),
+            ringing: new Set(),
+            peers: new Set(),
+            timer: null,
+        };
+        invited.forEach(peerId => this._sendCall('invite', peerId));
+        this.call.timer = setTimeout(() => {
+            if (this.callState !== CallState.INVITING) return;
+            this._sendCall('cancel');
+            this._endCall('timeout');
+        }, CALL_RING_TIMEOUT_MS);
+        this._emit('call-state', this.call);
+        return this.call;
+    }
+
+    /**
+     * Answer the ringing call: acquire media, then tell the caller, whose
+     * offer carries both sides' tracks.
+     */
+    async acceptCall() {
+        const call = this.call;
+        if (!call || call.state !== CallState.RINGING) return;
+        clearTimeout(call.timer);
+        try {
+            await this.startMedia(call.type === 'video', false, [call.peerId]);
+        } catch (err) {
+            if (this.call === call) {
+                this._sendCall('decline', call.peerId);
+                this._endCall('failed');
+            }
+            throw err;
+        }
+        if (this.call !== call) {
+            // Caller gave up (or the ring timed out) while we were asking for
+            // the camera: _endCall ran before there was media to stop
+            if (this.callState !== CallState.ACTIVE) this.stopMedia();
+            return;
+        }
+        call.peers.add(call.peerId);
+        this._sendCall('accept', call.peerId);
+        this._setCallState(CallState.ACTIVE);
+    }
+
+    declineCall() {
+        if (this.callState !== CallState.RINGING) return;
+        this._sendCall('decline', this.call.peerId);
+        this._endCall('declined');
+    }
+
+    /**
+     * Cancel our unanswered call, or leave the active one.
+     */
+    hangUp() {
+        if (this.callState === CallState.RINGING) {
+            this.declineCall();
+        } else if (this.callState === CallState.INVITING) {
+            this._sendCall('cancel');
+            this._endCall('cancelled');
+        } else if (this.callState === CallState.ACTIVE) {
+            this.call.peers.forEach(peerId => this._sendCall('hangup', peerId));
+            this._endCall('hangup');
+        }
+    }
+
+    _onCallMessage(msg, peerId) {
+        if (msg.type !== 'call') return;
+
+        const call = this.call;
+        const ours = call && call.id === msg.callId;
+        switch (msg.action) {
+            case 'invite':
+                this._onInvite(msg, peerId);
+                break;
+            case 'ringing':
+                if (ours && call.state === CallState.INVITING) {
+                    call.ringing.add(peerId);
+                    this._emit('call-state', call);
+                }
+                break;
+            case 'accept':
+                if (ours && call.direction === 'out') this._onAccepted(call, peerId);
+                break;
+            case 'decline':
+            case 'busy':
+                if (ours && call.state === CallState.INVITING) {
+                    call.pending.delete(peerId);
+                    call.ringing.delete(peerId);
+                    if (call.pending.size === 0) this._endCall(msg.action === 'busy' ? 'busy' : 'declined', peerId);
+                    else this._emit('call-state', call);
+                }
+                break;
+            case 'cancel':
+                if (ours && call.state === CallState.RINGING) this._endCall('missed', peerId);
+                break;
+            case 'hangup':
+                if (ours && call.state === CallState.ACTIVE && call.peers.delete(peerId)) {
+                    if (call.peers.size === 0) this._endCall('hangup', peerId);
+                    else this._detachMedia(peerId);
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    _onInvite(msg, peerId) {
+        const call = this.call;
+        // Both sides called at once: the lower seat's call wins
+        if (call && call.state === CallState.INVITING && call.pending.has(peerId)
+            && seatNumber(peerId) < seatNumber(this.role)) {
+            this._sendCall('cancel');
+            clearTimeout(call.timer);
+            this.call = null;
+        }
+
+        const incoming = {
+            id: String(msg.callId),
+            type: msg.callType === 'video' ? 'video' : 'audio',
+            direction: 'in',
+            state: CallState.RINGING,
+            peerId,
+            pending: new Set(),
+            ringing: new Set(),
+            peers: new Set(),
+            timer: null,
+        };
+        if (this.call) {
+            this._sendCall('busy', peerId, incoming);
+            this._emit('call-ended', incoming, 'busy', peerId);
+            return;
+        }
+
+        this.call = incoming;
+        this._sendCall('ringing', peerId);
+        incoming.timer = setTimeout(() => {
+            if (this.call === incoming && incoming.state === CallState.RINGING) this._endCall('missed', peerId);
+        }, CALL_RING_TIMEOUT_MS);
+        this._emit('call-state', incoming);
+    }
+
+    async _onAccepted(call, peerId) {
+        call.pending.delete(peerId);
+        call.ringing.delete(peerId);
+        call.peers.add(peerId);
+        if (call.state === CallState.ACTIVE) {
+            // Someone else in the group picked up too; send them our tracks
+            this.startMedia(call.type === 'video', true, [peerId])
+                .catch(err => console.error('[Peer] Renegotiation failed:', err));
+            return;
+        }
+        // A second answer while media is still starting: that run goes through call.peers
+        if (call.starting) return;
+        call.starting = true;
+        clearTimeout(call.timer);
+        try {
+            // Only peers who accepted get our media, never those still ringing
+            await this.startMedia(call.type === 'video', true, call.peers);
+        } catch (err) {
+            console.error('[Peer] Could not start media:', err);
+            call.peers.forEach(id => this._sendCall('hangup', id, call));
+            if (this.call === call) this._endCall('failed');
+            return;
+        }
+        if (this.call !== call) return;
+        // Nobody else gets to join an answered call late
+        call.pending.forEach(id => this._sendCall('cancel', id));
+        call.pending.clear();
+        this._setCallState(CallState.ACTIVE);
+    }
+
+    _onCallPeerLeft(peerId) {
+        const call = this.call;
+        if (!call) return;
+        if (call.state === CallState.RINGING && call.peerId === peerId) {
+            this._endCall('missed', peerId);
+        } else if (call.state === CallState.INVITING && call.pending.delete(peerId)) {
+            call.ringing.delete(peerId);
+            if (call.pending.size === 0) this._endCall('timeout', peerId);
+        } else if (call.state === CallState.ACTIVE && call.peers.delete(peerId) && call.peers.size === 0) {
+            this._endCall('hangup', peerId);
         }
     }
 }
@@ -542,3 +1525,4 @@ class PeerManager {
 window.SignalingClient = SignalingClient;
 window.PeerManager = PeerManager;
 window.ConnectionState = ConnectionState;
+window.CallState = CallState;
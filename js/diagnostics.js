@@ -0,0 +1,407 @@
+/**
+ * diagnostics.js — Connection self-test for the /diagnostics page.
+ *
+ * Provides:
+ *   - ConnectionDiagnostics: runs the checks below one after another and
+ *                            builds a JSON report that can be shared with
+ *                            whoever runs the server.
+ *
+ * Checks:
+ *   - signaling:  Socket.io connect time and transport, room create + join
+ *   - loopback:   two seats (SignalingClient + PeerManager each) in a
+ *                 throwaway room on this page, data channel open time,
+ *                 echo round trips and the candidate type that was used
+ *   - heartbeat:  `heartbeat` / `heartbeat-ack` round trips
+ *   - ice:        candidate gathering against every ICE server from
+ *                 /api/ice-config, one at a time
+ *   - media:      camera / microphone permission state and devices, and
+ *                 optionally a real getUserMedia() call
+ *
+ * The report leaves out anything that identifies the user's network: no
+ * IP addresses, no TURN credentials — only candidate types, timings and
+ * error codes.
+ *
+ * Usage (from diagnostics.html):
+ *   const diag = new ConnectionDiagnostics({ testMedia: true });
+ *   diag.on('check', (name, result) => { ... });   // 'running' → pass / warn / fail
+ *   const report = await diag.run();
+ */
+
+// ═══════════════════════════════════════════════════════════════
+//  LIMITS
+// ═══════════════════════════════════════════════════════════════
+
+const DIAG_SIGNALING_TIMEOUT_MS = 10000;
+const DIAG_CHANNEL_TIMEOUT_MS = 15000;
+const DIAG_GATHER_TIMEOUT_MS = 8000;
+const DIAG_ECHO_TIMEOUT_MS = 3000;
+const DIAG_PINGS = 5;
+const DIAG_ROOM_LIFETIME = '10m'; // the throwaway room expires even if leaving fails
+
+const DIAG_CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+function diagRoomCode() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(6)), b => DIAG_CODE_CHARS[b % DIAG_CODE_CHARS.length]).join('');
+}
+
+/**
+ * Resolve with what `register(resolve)` passes, or reject after `ms`.
+ */
+function withTimeout(ms, what, register) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+        register((value) => {
+            clearTimeout(timer);
+            resolve(value);
+        }, (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+function summarizeTimes(times) {
+    if (times.length === 0) return null;
+    const sum = times.reduce((a, b) => a + b, 0);
+    return {
+        min: Math.round(Math.min(...times)),
+        avg: Math.round(sum / times.length),
+        max: Math.round(Math.max(...times)),
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  CONNECTION DIAGNOSTICS
+// ═══════════════════════════════════════════════════════════════
+
+class ConnectionDiagnostics {
+    /**
+     * @param {{ testMedia?: boolean }} [options] testMedia: also call
+     *        getUserMedia() (the browser asks for permission)
+     */
+    constructor({ testMedia = false } = {}) {
+        this.testMedia = testMedia;
+        this.roomCode = diagRoomCode();
+        this.results = {};
+        this._listeners = {};
+        this._seats = []; // { signaling, peer } for user1 and user2
+    }
+
+    on(event, fn) {
+        if (!this._listeners[event]) this._listeners[event] = [];
+        this._listeners[event].push(fn);
+        return this;
+    }
+
+    _emit(event, ...args) {
+        (this._listeners[event] || []).forEach(fn => fn(...args));
+    }
+
+    /**
+     * Run one check; a thrown error marks it failed.
+     * @param {Function} fn resolves with { status: 'pass'|'warn'|'fail', ...details }
+     */
+    async _check(name, fn) {
+        this._emit('check', name, { status: 'running' });
+        const started = performance.now();
+        let result;
+        try {
+            result = await fn();
+        } catch (err) {
+            result = { status: 'fail', error: err.message };
+        }
+        result.durationMs = Math.round(performance.now() - started);
+        this.results[name] = result;
+        this._emit('check', name, result);
+        return result;
+    }
+
+    /**
+     * Run every check and return the report.
+     */
+    async run() {
+        const startedAt = new Date();
+        let server = null;
+        try {
+            server = await (await fetch('/api/diagnostics')).json();
+        } catch (err) {
+            server = { error: err.message };
+        }
+
+        try {
+            const signaling = await this._check('signaling', () => this._testSignaling());
+            if (signaling.status !== 'fail') {
+                await this._check('loopback', () => this._testLoopback());
+                await this._check('heartbeat', () => this._testHeartbeat());
+            }
+            await this._check('ice', () => this._testIceServers());
+        } finally {
+            this._teardown();
+        }
+        await this._check('media', () => this._testMedia());
+
+        return {
+            report: 'silent-byte-diagnostics',
+            version: 1,
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date().toISOString(),
+            clockSkewMs: server && server.serverTime ? Date.parse(server.serverTime) - startedAt.getTime() : null,
+            userAgent: navigator.userAgent,
+            relayOnly: PeerManager.isRelayOnly(),
+            server,
+            checks: this.results,
+        };
+    }
+
+    // ─── Signaling ─────────────────────────────────────────
+
+    _seat(role) {
+        const signaling = new SignalingClient(this.roomCode, role);
+        const peer = new PeerManager(signaling, this.roomCode);
+        const seat = { signaling, peer };
+        this._seats.push(seat);
+        return seat;
+    }
+
+    /**
+     * user1 creates the throwaway room, user2 joins it, just like two tabs.
+     */
+    async _testSignaling() {
+        const previousLifetime = sessionStorage.getItem('roomLifetime');
+        sessionStorage.setItem('roomLifetime', DIAG_ROOM_LIFETIME);
+
+        const host = this._seat('user1');
+        const started = performance.now();
+        let connectMs = null;
+        const ready = withTimeout(DIAG_SIGNALING_TIMEOUT_MS, 'Creating a room', (resolve, reject) => {
+            host.signaling.on('room-ready', resolve);
+            host.signaling.on('error', msg => reject(new Error(msg)));
+        });
+        host.signaling.connect();
+        host.signaling.socket.once('connect', () => { connectMs = Math.round(performance.now() - started); });
+        host.signaling.socket.once('connect_error', (err) => {
+            console.warn('[Diagnostics] Socket connect error:', err.message);
+        });
+        try {
+            await ready;
+        } finally {
+            if (previousLifetime === null) sessionStorage.removeItem('roomLifetime');
+            else sessionStorage.setItem('roomLifetime', previousLifetime);
+        }
+        const createMs = Math.round(performance.now() - started);
+
+        const guest = this._seat('user2');
+        guest.signaling.seatToken = null; // both seats share sessionStorage; that token is the host's
+        const joinStarted = performance.now();
+        const joined = withTimeout(DIAG_SIGNALING_TIMEOUT_MS, 'Joining the room', (resolve, reject) => {
+            guest.signaling.on('room-ready', resolve);
+            guest.signaling.on('error', msg => reject(new Error(msg)));
+        });
+        guest.signaling.connect();
+        await joined;
+
+        const engine = host.signaling.socket.io.engine;
+        return {
+            status: 'pass',
+            connectMs,
+            createRoomMs: createMs,
+            joinRoomMs: Math.round(performance.now() - joinStarted),
+            transport: engine && engine.transport ? engine.transport.name : null,
+        };
+    }
+
+    async _testHeartbeat() {
+        const socket = this._seats[0].signaling.socket;
+        const times = [];
+        for (let i = 0; i < DIAG_PINGS; i++) {
+            // Negative sequence numbers, so the client's own heartbeats can't answer ours
+            const seq = -(i + 1);
+            const sent = performance.now();
+            await withTimeout(DIAG_ECHO_TIMEOUT_MS, 'Heartbeat ack', (resolve) => {
+                const onAck = (ackSeq) => {
+                    if (ackSeq !== seq) return;
+                    socket.off('heartbeat-ack', onAck);
+                    resolve();
+                };
+                socket.on('heartbeat-ack', onAck);
+                socket.emit('heartbeat', seq);
+            });
+            times.push(performance.now() - sent);
+        }
+        const rtt = summarizeTimes(times);
+        return { status: rtt.avg > 1000 ? 'warn' : 'pass', rttMs: rtt };
+    }
+
+    // ─── Loopback Data Channel ─────────────────────────────
+
+    async _testLoopback() {
+        const [host, guest] = this._seats;
+        const started = performance.now();
+
+        const opened = Promise.all([host, guest].map(({ peer }) => withTimeout(
+            DIAG_CHANNEL_TIMEOUT_MS, 'Opening the data channel',
+            resolve => peer.on('datachannel-open', resolve),
+        )));
+        host.peer.setup('user2');
+        guest.peer.setup('user1');
+        await opened;
+        const openMs = Math.round(performance.now() - started);
+
+        // The guest echoes probes straight back
+        guest.peer.on('datachannel-message', (data, peerId) => {
+            let msg;
+            try { msg = JSON.parse(data); } catch { return; }
+            if (msg.type === 'diag-echo') guest.peer.send(data, peerId);
+        });
+
+        const times = [];
+        for (let n = 0; n < DIAG_PINGS; n++) {
+            const sent = performance.now();
+            let onMessage;
+            try {
+                await withTimeout(DIAG_ECHO_TIMEOUT_MS, 'Data channel echo', (resolve) => {
+                    onMessage = (data) => {
+                        let msg;
+                        try { msg = JSON.parse(data); } catch { return; }
+                        if (msg.type === 'diag-echo' && msg.n === n) resolve();
+                    };
+                    host.peer.on('datachannel-message', onMessage);
+                    host.peer.send(JSON.stringify({ type: 'diag-echo', n }), 'user2');
+                });
+            } finally {
+                host.peer.off('datachannel-message', onMessage);
+            }
+            times.push(performance.now() - sent);
+        }
+
+        const route = await this._selectedRoute(host.peer.links.get('user2').pc);
+        return { status: 'pass', openMs, echoRttMs: summarizeTimes(times), ...route };
+    }
+
+    async _selectedRoute(pc) {
+        const report = await pc.getStats();
+        let pair = null;
+        report.forEach((stat) => {
+            if (stat.type === 'transport' && stat.selectedCandidatePairId) pair = report.get(stat.selectedCandidatePairId);
+        });
+        if (!pair) report.forEach((stat) => {
+            if (!pair && stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded') pair = stat;
+        });
+        const local = pair && report.get(pair.localCandidateId);
+        return {
+            candidateType: local ? local.candidateType : null,
+            protocol: local ? local.protocol : null,
+        };
+    }
+
+    // ─── ICE Servers ───────────────────────────────────────
+
+    /**
+     * Gather candidates against each ICE server on its own, so a broken
+     * TURN server can't hide behind a working STUN one.
+     */
+    async _testIceServers() {
+        const host = this._seats[0];
+        if (!host || !host.peer.iceConfig) {
+            return { status: 'fail', error: 'No ICE config (signaling did not get a seat)' };
+        }
+        const { iceServers, iceTransportPolicy } = host.peer.iceConfig;
+        const servers = [];
+        for (const server of iceServers) {
+            servers.push(await this._gather(server));
+        }
+        const failed = servers.filter(s => !s.ok);
+        let status = 'pass';
+        if (failed.length === servers.length) status = 'fail';
+        else if (failed.length > 0) status = 'warn';
+        return { status, iceTransportPolicy, servers };
+    }
+
+    async _gather(server) {
+        const urls = [].concat(server.urls);
+        const isTurn = urls.some(url => /^turns?:/.test(url));
+        const pc = new RTCPeerConnection({ iceServers: [server] });
+        const result = { urls, kind: isTurn ? 'turn' : 'stun', candidates: {}, errors: [] };
+        const started = performance.now();
+
+        pc.onicecandidate = ({ candidate }) => {
+            if (!candidate || !candidate.type) return;
+            result.candidates[candidate.type] = (result.candidates[candidate.type] || 0) + 1;
+            const firstKey = `first${candidate.type[0].toUpperCase()}${candidate.type.slice(1)}Ms`;
+            if (result[firstKey] === undefined) result[firstKey] = Math.round(performance.now() - started);
+        };
+        pc.onicecandidateerror = (e) => {
+            result.errors.push({ url: e.url, errorCode: e.errorCode, errorText: e.errorText });
+        };
+
+        try {
+            pc.createDataChannel('diag');
+            await pc.setLocalDescription(await pc.createOffer());
+            await withTimeout(DIAG_GATHER_TIMEOUT_MS, 'Gathering', (resolve) => {
+                if (pc.iceGatheringState === 'complete') resolve();
+                pc.onicegatheringstatechange = () => {
+                    if (pc.iceGatheringState === 'complete') resolve();
+                };
+            }).catch(() => { result.timedOut = true; });
+        } catch (err) {
+            result.errors.push({ errorText: err.message });
+        } finally {
+            pc.close();
+        }
+
+        result.gatherMs = Math.round(performance.now() - started);
+        result.ok = isTurn ? !!result.candidates.relay : !!result.candidates.srflx;
+        return result;
+    }
+
+    // ─── Media ─────────────────────────────────────────────
+
+    async _testMedia() {
+        if (!navigator.mediaDevices) return { status: 'fail', error: 'No media devices API (insecure page?)' };
+
+        const permissions = {};
+        for (const name of ['camera', 'microphone']) {
+            try {
+                permissions[name] = (await navigator.permissions.query({ name })).state;
+            } catch {
+                permissions[name] = 'unknown'; // not queryable in this browser
+            }
+        }
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const result = {
+            status: 'pass',
+            permissions,
+            cameras: devices.filter(d => d.kind === 'videoinput').length,
+            microphones: devices.filter(d => d.kind === 'audioinput').length,
+            screenShare: !!navigator.mediaDevices.getDisplayMedia,
+        };
+
+        if (this.testMedia) {
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+                stream.getTracks().forEach(t => t.stop());
+                result.getUserMedia = 'ok';
+            } catch (err) {
+                result.getUserMedia = err.name;
+                result.status = 'warn';
+            }
+        }
+        if (result.microphones === 0 || Object.values(permissions).includes('denied')) result.status = 'warn';
+        return result;
+    }
+
+    // ─── Cleanup ───────────────────────────────────────────
+
+    _teardown() {
+        this._seats.splice(0).forEach(({ signaling, peer }) => {
+            peer.cleanup();
+            if (signaling.socket) signaling.leave();
+        });
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  EXPORTS (global for inline script usage)
+// ═══════════════════════════════════════════════════════════════
+
+window.ConnectionDiagnostics = ConnectionDiagnostics;
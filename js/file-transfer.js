@@ -0,0 +1,430 @@
+/**
+ * file-transfer.js — Native file transfers over the PeerManager 'files' channel.
+ *
+ * Provides:
+ *   - FileTransfer: sends one or more files (or a whole folder) peer-to-peer,
+ *                   in hashed chunks with backpressure, and resumes where it
+ *                   left off after a pause or a reconnect.
+ *
+ * The manifest (names, sizes, chunk counts, content hashes) is announced
+ * separately — over SecureSession in chat.html. Chunks on the file channel
+ * are sealed with the receiver's session key, so they are end-to-end
+ * encrypted like chat messages. Receivers pull: they request a file from a
+ * chunk index, so resuming is simply asking again from the first chunk they
+ * don't have. A file is only handed out once its content hash matches.
+ *
+ * Usage (from chat.html):
+ *   const files = new FileTransfer(peer, secure);
+ *   const manifest = await files.offer(fileList);            // sender
+ *   secure.send({ type: 'file', manifest });
+ *   if (FileTransfer.isValidManifest(manifest)) files.accept(manifest, peerId);  // receiver
+ *   files.on('file-complete', (transferId, meta, blob, peerId) => { ... });
+ */
+
+// ═══════════════════════════════════════════════════════════════
+//  WIRE FORMAT
+// ═══════════════════════════════════════════════════════════════
+//
+//  Control (string):  { type: 'file-request', transferId, fileIndex, from }
+//                     { type: 'file-pause' | 'file-paused' | 'file-resumed', transferId }
+//  Chunk  (binary):   [uint32 header length][header JSON][sealed payload]
+//                     header = { t: transferId, f: fileIndex, i: chunkIndex, h: sha256 of sealed payload }
+//                     sealed = iv || AES-GCM(session key, chunk)
+//
+//  Content hash:      sha256 over the concatenated sha256 digests of every
+//                     plaintext chunk, so it can be computed chunk by chunk
+//                     without holding a whole file in memory.
+
+const CHUNK_SIZE = 64 * 1024;
+const HIGH_WATER = 4 * 1024 * 1024;  // stop queueing chunks above this
+const LOW_WATER = 1024 * 1024;       // ...and carry on once drained to this
+const MAX_CHUNK_RETRIES = 3;
+
+function newTransferId() {
+    return crypto.randomUUID ? crypto.randomUUID()
+        : Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256(buf) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', buf));
+}
+
+async function sha256B64(buf) {
+    const hash = await sha256(buf);
+    let binary = '';
+    for (let i = 0; i < hash.length; i++) binary += String.fromCharCode(hash[i]);
+    return btoa(binary);
+}
+
+/**
+ * Content hash from a file's per-chunk digests (see WIRE FORMAT).
+ */
+function contentHash(digests) {
+    const all = new Uint8Array(digests.length * 32);
+    digests.forEach((digest, i) => all.set(digest, i * 32));
+    return sha256B64(all);
+}
+
+const isCount = n => Number.isSafeInteger(n) && n >= 0;
+
+/**
+ * Whether a manifest announced by a peer has the shape offer() produces.
+ * Anything else is rejected before it reaches the UI or accept().
+ */
+function isValidManifest(manifest) {
+    if (!manifest || typeof manifest.transferId !== 'string' || !manifest.transferId) return false;
+    if (!Array.isArray(manifest.files) || manifest.files.length === 0 || !isCount(manifest.totalSize)) return false;
+    return manifest.files.every(f => f
+        && typeof f.name === 'string'
+        && (f.path === undefined || typeof f.path === 'string')
+        && (f.type === undefined || typeof f.type === 'string')
+        && typeof f.hash === 'string'
+        && isCount(f.size)
+        && isCount(f.chunks));
+}
+
+function encodeChunk(header, payload) {
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const frame = new Uint8Array(4 + headerBytes.length + payload.byteLength);
+    new DataView(frame.buffer).setUint32(0, headerBytes.length);
+    frame.set(headerBytes, 4);
+    frame.set(new Uint8Array(payload), 4 + headerBytes.length);
+    return frame.buffer;
+}
+
+function decodeChunk(buf) {
+    const headerLength = new DataView(buf).getUint32(0);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buf, 4, headerLength)));
+    return { header, payload: buf.slice(4 + headerLength) };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  FILE TRANSFER
+// ═══════════════════════════════════════════════════════════════
+
+class FileTransfer {
+    constructor(peer, secure) {
+        this.peer = peer;
+        this.secure = secure;
+
+        /**
+         * Transfers we are sending, kept until the page closes so any peer
+         * can resume them.
+         * @type {Map<string, { manifest: object, files: File[], paused: boolean,
+         *                      cursors: Map<string, { fileIndex: number, next: number, stopped: boolean }> }>}
+         */
+        this.outgoing = new Map();
+
+        /**
+         * Transfers we are receiving. Only the current file is buffered;
+         * finished files are handed out as Blobs.
+         * @type {Map<string, { manifest: object, peerId: string, fileIndex: number, chunks: ArrayBuffer[],
+         *                      digests: Uint8Array[], received: number, retries: number, paused: boolean,
+         *                      done: boolean }>}
+         */
+        this.incoming = new Map();
+
+        this._recvChain = Promise.resolve();
+        this._listeners = {};
+        this._bindPeerEvents();
+    }
+
+    on(event, fn) {
+        if (!this._listeners[event]) this._listeners[event] = [];
+        this._listeners[event].push(fn);
+        return this;
+    }
+
+    _emit(event, ...args) {
+        (this._listeners[event] || []).forEach(fn => fn(...args));
+    }
+
+    _sendControl(peerId, msg) {
+        const channel = this.peer.fileChannel(peerId);
+        if (!channel) return false;
+        channel.send(JSON.stringify(msg));
+        return true;
+    }
+
+    _bindPeerEvents() {
+        this.peer.on('file-channel-message', (data, peerId) => {
+            if (typeof data === 'string') {
+                let msg;
+                try { msg = JSON.parse(data); } catch { return; }
+                this._onControl(msg, peerId);
+            } else {
+                // Hashing is async; chain so chunks are checked in arrival order
+                this._recvChain = this._recvChain
+                    .then(() => this._onChunk(data, peerId))
+                    .catch(err => console.error('[Files] Bad chunk:', err));
+            }
+        });
+
+        // Pick up unfinished downloads once the channel is back and a key
+        // is agreed — whichever happens last
+        const resumeFrom = (peerId) => {
+            if (!this.peer.fileChannel(peerId) || !this.secure.isReady(peerId)) return;
+            this.incoming.forEach((inc) => {
+                if (inc.peerId === peerId && !inc.done && !inc.paused) this._requestNext(inc);
+            });
+        };
+        this.peer.on('file-channel-open', resumeFrom);
+        this.secure.on('ready', (safetyNumber, peerId) => resumeFrom(peerId));
+    }
+
+    // ─── Sending ───────────────────────────────────────────
+
+    /**
+     * Register files for sending and resolve with the manifest to announce.
+     * Reads every file once to compute its content hash. A folder
+     * selection keeps each file's relative path.
+     * @param {FileList|File[]} fileList
+     */
+    async offer(fileList) {
+        const files = [...fileList];
+        const manifest = {
+            transferId: newTransferId(),
+            chunkSize: CHUNK_SIZE,
+            files: [],
+        };
+        for (const file of files) {
+            const chunks = Math.ceil(file.size / CHUNK_SIZE);
+            const digests = [];
+            for (let i = 0; i < chunks; i++) {
+                digests.push(await sha256(await file.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE).arrayBuffer()));
+            }
+            manifest.files.push({
+                name: file.name,
+                path: file.webkitRelativePath || file.name,
+                size: file.size,
+                type: file.type || 'application/octet-stream',
+                chunks,
+                hash: await contentHash(digests),
+            });
+        }
+        manifest.totalSize = manifest.files.reduce((sum, f) => sum + f.size, 0);
+        this.outgoing.set(manifest.transferId, { manifest, files, paused: false, cursors: new Map() });
+        return manifest;
+    }
+
+    _onControl(msg, peerId) {
+        const out = this.outgoing.get(msg.transferId);
+        const inc = this.incoming.get(msg.transferId);
+
+        if (msg.type === 'file-request' && out) {
+            this._pump(out, peerId, msg.fileIndex, msg.from)
+                .catch(err => this._emit('error', msg.transferId, err.message, peerId));
+        } else if (msg.type === 'file-pause' && out) {
+            const cursor = out.cursors.get(peerId);
+            if (cursor) cursor.stopped = true;
+        } else if ((msg.type === 'file-paused' || msg.type === 'file-resumed') && inc) {
+            this._emit('paused', msg.transferId, msg.type === 'file-paused', peerId);
+        }
+    }
+
+    /**
+     * Stream one file to a peer from a chunk index. Starting a new pump for
+     * the same peer (re-request, resume) supersedes the previous one.
+     */
+    async _pump(out, peerId, fileIndex, from) {
+        const meta = out.manifest.files[fileIndex];
+        const file = out.files[fileIndex];
+        if (!meta) return;
+
+        const prev = out.cursors.get(peerId);
+        if (prev) prev.stopped = true;
+        const cursor = { fileIndex, next: from, stopped: false };
+        out.cursors.set(peerId, cursor);
+        const sentBefore = out.manifest.files.slice(0, fileIndex).reduce((sum, f) => sum + f.size, 0);
+
+        for (let i = from; i < meta.chunks; i++) {
+            if (out.paused || cursor.stopped) return;
+
+            let channel = this.peer.fileChannel(peerId);
+            if (!channel) return; // receiver re-requests once it reconnects
+            if (channel.bufferedAmount > HIGH_WATER) {
+                await this._drained(channel);
+                channel = this.peer.fileChannel(peerId);
+                if (!channel || out.paused || cursor.stopped) return;
+            }
+
+            const chunk = await file.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE).arrayBuffer();
+            let sealed;
+            try {
+                sealed = await this.secure.encryptBytes(peerId, chunk);
+            } catch (err) {
+                return; // key was reset mid-transfer; receiver re-requests once it is agreed again
+            }
+            if (out.paused || cursor.stopped || !this.peer.fileChannel(peerId)) return;
+            const header = { t: out.manifest.transferId, f: fileIndex, i, h: await sha256B64(sealed) };
+            channel.send(encodeChunk(header, sealed));
+            cursor.next = i + 1;
+
+            const sent = sentBefore + Math.min((i + 1) * CHUNK_SIZE, meta.size);
+            this._emit('progress', out.manifest.transferId, sent / (out.manifest.totalSize || 1), peerId, 'send');
+        }
+
+        if (fileIndex === out.manifest.files.length - 1) {
+            this._emit('complete', out.manifest.transferId, peerId, 'send');
+        }
+    }
+
+    _drained(channel) {
+        return new Promise((resolve) => {
+            const done = () => {
+                channel.removeEventListener('bufferedamountlow', done);
+                channel.removeEventListener('close', done);
+                resolve();
+            };
+            channel.bufferedAmountLowThreshold = LOW_WATER;
+            channel.addEventListener('bufferedamountlow', done);
+            channel.addEventListener('close', done);
+        });
+    }
+
+    // ─── Receiving ─────────────────────────────────────────
+
+    /**
+     * Start downloading an announced transfer from a peer.
+     */
+    accept(manifest, peerId) {
+        if (!isValidManifest(manifest) || this.incoming.has(manifest.transferId)) return;
+        const inc = {
+            manifest, peerId, fileIndex: 0, chunks: [], digests: [], received: 0, retries: 0, paused: false, done: false,
+        };
+        this.incoming.set(manifest.transferId, inc);
+        if (this.secure.isReady(peerId)) this._requestNext(inc);
+    }
+
+    async _requestNext(inc) {
+        const { files } = inc.manifest;
+        // Empty files have no chunks to wait for
+        while (!inc.done && inc.fileIndex < files.length && files[inc.fileIndex].chunks === 0) {
+            await this._completeFile(inc);
+        }
+        if (inc.done) return;
+        if (inc.fileIndex >= files.length) {
+            this._finish(inc);
+            return;
+        }
+        this._sendControl(inc.peerId, {
+            type: 'file-request',
+            transferId: inc.manifest.transferId,
+            fileIndex: inc.fileIndex,
+            from: inc.chunks.length,
+        });
+    }
+
+    async _onChunk(buf, peerId) {
+        const { header, payload } = decodeChunk(buf);
+        const inc = this.incoming.get(header.t);
+        // Chunks from a superseded request (or a paused one) are simply dropped
+        if (!inc || inc.peerId !== peerId || inc.done || inc.paused) return;
+        if (header.f !== inc.fileIndex || header.i !== inc.chunks.length) return;
+
+        let chunk = null;
+        if (await sha256B64(payload) === header.h) {
+            chunk = await this.secure.decryptBytes(peerId, payload).catch(() => null);
+        }
+        if (!chunk) {
+            inc.retries++;
+            console.warn(`[Files] Chunk ${header.i} failed its hash check or did not decrypt (try ${inc.retries})`);
+            if (inc.retries > MAX_CHUNK_RETRIES) {
+                inc.done = true;
+                this._emit('error', header.t, 'Chunk failed its hash check too many times', peerId);
+                return;
+            }
+            this._requestNext(inc);
+            return;
+        }
+
+        inc.retries = 0;
+        inc.chunks.push(chunk);
+        inc.digests.push(await sha256(chunk));
+        inc.received += chunk.byteLength;
+        this._emit('progress', header.t, inc.received / (inc.manifest.totalSize || 1), peerId, 'receive');
+
+        if (inc.chunks.length === inc.manifest.files[inc.fileIndex].chunks) {
+            await this._completeFile(inc);
+            this._requestNext(inc);
+        }
+    }
+
+    /**
+     * Check the finished file against the manifest's content hash. Only a
+     * match is handed out; a mismatch ends the whole transfer.
+     */
+    async _completeFile(inc) {
+        const meta = inc.manifest.files[inc.fileIndex];
+        const hash = await contentHash(inc.digests);
+        const chunks = inc.chunks;
+        inc.chunks = [];
+        inc.digests = [];
+
+        if (hash !== meta.hash) {
+            console.warn(`[Files] Integrity check failed for ${meta.path}`);
+            inc.done = true;
+            this._emit('integrity-failed', inc.manifest.transferId, meta, inc.peerId);
+            return;
+        }
+        inc.fileIndex++;
+        this._emit('file-complete', inc.manifest.transferId, meta, new Blob(chunks, { type: meta.type }), inc.peerId);
+    }
+
+    _finish(inc) {
+        if (inc.done) return;
+        inc.done = true;
+        this._emit('complete', inc.manifest.transferId, inc.peerId, 'receive');
+    }
+
+    // ─── Pause / Resume ────────────────────────────────────
+
+    /**
+     * Pause a transfer. A sender pauses for every peer; a receiver only
+     * stops its own download.
+     */
+    pause(transferId) {
+        const out = this.outgoing.get(transferId);
+        if (out) {
+            out.paused = true;
+            out.cursors.forEach((cursor, peerId) => this._sendControl(peerId, { type: 'file-paused', transferId }));
+        }
+        const inc = this.incoming.get(transferId);
+        if (inc && !inc.done) {
+            inc.paused = true;
+            this._sendControl(inc.peerId, { type: 'file-pause', transferId });
+        }
+    }
+
+    resume(transferId) {
+        const out = this.outgoing.get(transferId);
+        if (out && out.paused) {
+            out.paused = false;
+            out.cursors.forEach((cursor, peerId) => {
+                this._sendControl(peerId, { type: 'file-resumed', transferId });
+                // Skip peers that paused on their own or already have everything
+                if (cursor.stopped || cursor.next >= out.manifest.files[cursor.fileIndex].chunks) return;
+                this._pump(out, peerId, cursor.fileIndex, cursor.next)
+                    .catch(err => this._emit('error', transferId, err.message, peerId));
+            });
+        }
+        const inc = this.incoming.get(transferId);
+        if (inc && inc.paused && !inc.done) {
+            inc.paused = false;
+            this._requestNext(inc);
+        }
+    }
+
+    isPaused(transferId) {
+        const entry = this.outgoing.get(transferId) || this.incoming.get(transferId);
+        return !!entry && entry.paused;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  EXPORTS (global for inline script usage)
+// ═══════════════════════════════════════════════════════════════
+
+FileTransfer.isValidManifest = isValidManifest;
+
+window.FileTransfer = FileTransfer;
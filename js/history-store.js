@@ -0,0 +1,284 @@
+/**
+ * history-store.js — Encrypted per-room chat history in IndexedDB.
+ *
+ * Provides:
+ *   - HistoryStore: keeps chat messages, file cards and seen state for one
+ *                   room so a reload (which rejoins the same seat) restores
+ *                   the conversation.
+ *
+ * Every entry is encrypted with an AES-GCM key generated for the room.
+ * The raw key lives in sessionStorage, next to the seat token, never in
+ * IndexedDB with the entries: it survives a reload but not closing the
+ * tab, and history that outlives its key is unreadable. Leaving the room
+ * purges its key along with its entries; entries of rooms no open tab
+ * holds (a tab closed without leaving) are swept when a store is created.
+ *
+ * Ephemeral mode (a per-device preference) turns the store into a no-op.
+ *
+ * Usage (from chat.html):
+ *   const chatHistory = new HistoryStore(roomCode);
+ *   const entries = await chatHistory.load();                 // oldest first
+ *   chatHistory.save({ id, kind: 'chat', direction: 'out', text });
+ *   chatHistory.update(id, { seenBy: ['user2'] });
+ *   chatHistory.remove(id);
+ *   await chatHistory.purge();                                // leave / expiry
+ */
+
+// ═══════════════════════════════════════════════════════════════
+//  INDEXEDDB HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+const HISTORY_DB = 'silent-byte-history';
+const HISTORY_DB_VERSION = 2;
+const HISTORY_LOCK_PREFIX = 'silent-byte-history:';
+const HISTORY_KEY_PREFIX = 'historyKey:';
+const EPHEMERAL_KEY = 'ephemeralMode';
+
+function openHistoryDB() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(HISTORY_DB, HISTORY_DB_VERSION);
+        req.onupgradeneeded = (event) => {
+            const db = req.result;
+            if (event.oldVersion < 1) {
+                const entries = db.createObjectStore('entries', { keyPath: 'key' });
+                entries.createIndex('roomCode', 'roomCode');
+            }
+            if (event.oldVersion === 1) {
+                // v1 kept the room keys in this database; drop them and
+                // what they encrypted
+                db.deleteObjectStore('keys');
+                req.transaction.objectStore('entries').clear();
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function idbDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  HISTORY STORE
+// ═══════════════════════════════════════════════════════════════
+
+class HistoryStore {
+    constructor(roomCode) {
+        this.roomCode = roomCode;
+        this._db = null;
+        this._key = null;
+        this._queue = Promise.resolve(); // writes run one at a time, in call order
+        this._enqueue(() => this._sweepStaleRooms());
+    }
+
+    static isEphemeral() {
+        return localStorage.getItem(EPHEMERAL_KEY) === '1';
+    }
+
+    static setEphemeral(on) {
+        if (on) localStorage.setItem(EPHEMERAL_KEY, '1');
+        else localStorage.removeItem(EPHEMERAL_KEY);
+    }
+
+    get enabled() {
+        return !HistoryStore.isEphemeral() && typeof indexedDB !== 'undefined';
+    }
+
+    async _open() {
+        if (!this._db) this._db = await openHistoryDB();
+        return this._db;
+    }
+
+    async _roomKey() {
+        if (this._key) return this._key;
+        const storageKey = `${HISTORY_KEY_PREFIX}${this.roomCode}`;
+        let raw;
+        const stored = sessionStorage.getItem(storageKey);
+        if (stored) {
+            raw = Uint8Array.from(atob(stored), c => c.charCodeAt(0));
+        } else {
+            raw = crypto.getRandomValues(new Uint8Array(32));
+            sessionStorage.setItem(storageKey, btoa(String.fromCharCode(...raw)));
+        }
+        this._key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+        return this._key;
+    }
+
+    /**
+     * Hold a shared Web Lock named after the room for as long as the page
+     * lives, so other tabs can tell this room's history is still in use.
+     * Resolves false where Web Locks are unavailable.
+     */
+    _holdRoomLock() {
+        if (!navigator.locks) return Promise.resolve(false);
+        return new Promise((resolve) => {
+            navigator.locks.request(`${HISTORY_LOCK_PREFIX}${this.roomCode}`, { mode: 'shared' }, () => {
+                resolve(true);
+                return new Promise(() => { }); // released when the page goes away
+            });
+        });
+    }
+
+    /**
+     * Delete the entries of every room no open tab holds. Their keys went
+     * with the tabs that closed, so nothing could read them again anyway.
+     */
+    async _sweepStaleRooms() {
+        if (typeof indexedDB === 'undefined' || !(await this._holdRoomLock())) return;
+        const { held } = await navigator.locks.query();
+        const openRooms = new Set(held
+            .filter(lock => lock.name.startsWith(HISTORY_LOCK_PREFIX))
+            .map(lock => lock.name.slice(HISTORY_LOCK_PREFIX.length)));
+        const db = await this._open();
+        const tx = db.transaction('entries', 'readwrite');
+        const store = tx.objectStore('entries');
+        const cursorReq = store.index('roomCode').openKeyCursor();
+        cursorReq.onsuccess = () => {
+            const cursor = cursorReq.result;
+            if (!cursor) return;
+            if (!openRooms.has(cursor.key)) store.delete(cursor.primaryKey);
+            cursor.continue();
+        };
+        await idbDone(tx);
+    }
+
+    async _seal(buf) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await this._roomKey(), buf);
+        return { iv, data };
+    }
+
+    async _unseal({ iv, data }) {
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, await this._roomKey(), data);
+    }
+
+    _enqueue(task) {
+        this._queue = this._queue.then(task).catch(err => console.error('[History] Write failed:', err));
+        return this._queue;
+    }
+
+    async _put(entry, blobs) {
+        const record = {
+            key: `${this.roomCode}:${entry.id}`,
+            roomCode: this.roomCode,
+            ts: entry.ts,
+            entry: await this._seal(new TextEncoder().encode(JSON.stringify(entry))),
+            blobs: [],
+        };
+        for (const blob of blobs) {
+            record.blobs.push({ type: blob.type, ...await this._seal(await blob.arrayBuffer()) });
+        }
+        const db = await this._open();
+        await idbRequest(db.transaction('entries', 'readwrite').objectStore('entries').put(record));
+    }
+
+    async _read(record) {
+        const entry = JSON.parse(new TextDecoder().decode(await this._unseal(record.entry)));
+        entry.blobs = [];
+        for (const sealed of record.blobs || []) {
+            entry.blobs.push(new Blob([await this._unseal(sealed)], { type: sealed.type }));
+        }
+        return entry;
+    }
+
+    // ─── Public API ────────────────────────────────────────
+
+    /**
+     * Store a new entry. `id` is the message id; `blobs` are optional file
+     * contents (kept for small, previewable files only).
+     */
+    save(entry, blobs = []) {
+        if (!this.enabled) return Promise.resolve();
+        const stamped = { ts: Date.now(), ...entry };
+        return this._enqueue(() => this._put(stamped, blobs));
+    }
+
+    /**
+     * Merge fields into a stored entry. Passing blobs replaces stored ones.
+     */
+    update(id, patch, blobs) {
+        if (!this.enabled) return Promise.resolve();
+        return this._enqueue(async () => {
+            const db = await this._open();
+            const record = await idbRequest(db.transaction('entries').objectStore('entries')
+                .get(`${this.roomCode}:${id}`));
+            if (!record) return;
+            const { blobs: storedBlobs, ...entry } = await this._read(record);
+            await this._put({ ...entry, ...patch }, blobs || storedBlobs);
+        });
+    }
+
+    /**
+     * Delete one entry and its blobs (a self-destructed message). Runs
+     * even in ephemeral mode, like purge().
+     */
+    remove(id) {
+        if (typeof indexedDB === 'undefined') return Promise.resolve();
+        return this._enqueue(async () => {
+            const db = await this._open();
+            await idbRequest(db.transaction('entries', 'readwrite').objectStore('entries')
+                .delete(`${this.roomCode}:${id}`));
+        });
+    }
+
+    /**
+     * All entries for the room, oldest first. Entries that no longer
+     * decrypt (e.g. the key was lost) are skipped.
+     */
+    async load() {
+        if (!this.enabled) return [];
+        try {
+            await this._queue;
+            const db = await this._open();
+            const records = await idbRequest(db.transaction('entries').objectStore('entries')
+                .index('roomCode').getAll(this.roomCode));
+            const entries = [];
+            for (const record of records.sort((a, b) => a.ts - b.ts)) {
+                try {
+                    entries.push(await this._read(record));
+                } catch (err) {
+                    console.warn('[History] Skipped unreadable entry:', err);
+                }
+            }
+            return entries;
+        } catch (err) {
+            console.error('[History] Load failed:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Delete every entry and the key for this room. Runs even in
+     * ephemeral mode, so switching it on clears what was kept before.
+     */
+    purge() {
+        const task = async () => {
+            sessionStorage.removeItem(`${HISTORY_KEY_PREFIX}${this.roomCode}`);
+            this._key = null;
+            if (typeof indexedDB === 'undefined') return;
+            const db = await this._open();
+            const tx = db.transaction('entries', 'readwrite');
+            const keys = await idbRequest(tx.objectStore('entries').index('roomCode').getAllKeys(this.roomCode));
+            keys.forEach(key => tx.objectStore('entries').delete(key));
+            await idbDone(tx);
+        };
+        return this._enqueue(task);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  EXPORTS (global for inline script usage)
+// ═══════════════════════════════════════════════════════════════
+
+window.HistoryStore = HistoryStore;
@@ -0,0 +1,93 @@
+/**
+ * mailbox.js — Store-and-forward through the server while a peer is away.
+ *
+ * Provides:
+ *   - Mailbox: seals a message with the peer's mailbox key (SecureSession),
+ *              leaves it on the server over Socket.io, and opens whatever
+ *              the server hands over when we rejoin.
+ *
+ * The server only ever holds ciphertext, in a small per-room mailbox with
+ * a size and age limit (see RoomManager). Mail can only be sealed for a
+ * peer we have agreed a key with during this page load, and the server only
+ * takes it while that peer still holds its seat. So it bridges short drops
+ * (a network change, a few seconds offline inside the server's grace
+ * period), not a reload or a longer absence: those lose the keys or the
+ * seat, and the mail with them.
+ *
+ * Usage (ReliableChannel does both for chat.html):
+ *   const mailbox = new Mailbox(signaling, secure);
+ *   mailbox.on('message', (msg, peerId) => { ... });
+ *   await mailbox.post('user2', { type: 'rel', ... });    // → true if stored
+ */
+
+// ═══════════════════════════════════════════════════════════════
+//  MAILBOX
+// ═══════════════════════════════════════════════════════════════
+
+class Mailbox {
+    constructor(signaling, secure) {
+        this.signaling = signaling;
+        this.secure = secure;
+        this._listeners = {};
+        this._openChain = Promise.resolve(); // deliver mail in the order the server kept it
+
+        this.signaling.on('mailbox', items => this._receive(items));
+    }
+
+    on(event, fn) {
+        if (!this._listeners[event]) this._listeners[event] = [];
+        this._listeners[event].push(fn);
+        return this;
+    }
+
+    _emit(event, ...args) {
+        (this._listeners[event] || []).forEach(fn => fn(...args));
+    }
+
+    canReach(peerId) {
+        return this.secure.canSeal(peerId);
+    }
+
+    /**
+     * Seal and store a message for a peer.
+     * @returns {Promise<boolean>} whether the server accepted it
+     */
+    async post(peerId, obj) {
+        if (!this.canReach(peerId)) return false;
+        let resp;
+        try {
+            resp = await this.signaling.postToMailbox(peerId, await this.secure.seal(peerId, obj));
+        } catch (err) {
+            console.error('[Mailbox] Seal failed:', err);
+            return false;
+        }
+        if (!resp || !resp.success) {
+            console.warn('[Mailbox] Not stored:', resp && (resp.code || resp.msg));
+            return false;
+        }
+        return true;
+    }
+
+    _receive(items) {
+        items.forEach(({ from, payload }) => {
+            this._openChain = this._openChain.then(async () => {
+                let msg;
+                try {
+                    msg = await this.secure.unseal(from, payload);
+                } catch (err) {
+                    // Sealed for a key this page never had (e.g. we reloaded);
+                    // the sender retransmits over the data channel anyway
+                    console.warn('[Mailbox] Could not open mail:', err.message);
+                    return;
+                }
+                this._emit('message', msg, from);
+            });
+        });
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  EXPORTS (global for inline script usage)
+// ═══════════════════════════════════════════════════════════════
+
+window.Mailbox = Mailbox;
@@ -0,0 +1,269 @@
+/**
+ * reliable-channel.js — Reliable, ordered message delivery over SecureSession.
+ *
+ * Provides:
+ *   - ReliableChannel: per-sender sequence numbers, cumulative delivery acks
+ *                      (separate from "seen"), retransmission once a peer's
+ *                      session is back, in-order delivery and duplicate
+ *                      suppression.
+ *
+ * The data channel alone drops whatever was queued when a link is torn down
+ * (PeerManager.cleanup) and can deliver twice around an ICE restart. Here a
+ * message stays queued until the peer acks it, and the receiver only hands
+ * on the next sequence number it expects.
+ *
+ * While a peer's session is down, messages also go to the server-side
+ * Mailbox (when one is given). They stay queued here as well: whichever copy
+ * arrives first is delivered, the other is a duplicate.
+ *
+ * Each sender stream has a random epoch. A receiver seeing a new epoch (first
+ * contact, sender reloaded, stream reset after a failure) starts counting
+ * from the first sequence number it gets — retransmits go out in order, so
+ * that is the oldest message still unacked.
+ *
+ * Usage (from chat.html):
+ *   const reliable = new ReliableChannel(secure, mailbox);
+ *   reliable.on('message', (msg, peerId) => { ... });
+ *   reliable.on('delivered', (trackId) => { ... });           // every peer acked
+ *   reliable.on('failed', (trackId, peerId) => { ... });
+ *   reliable.on('queued', (trackId, peerId) => { ... });      // held by the mailbox
+ *   reliable.send({ type: 'chat', id, text }, undefined, id); // everyone, tracked
+ *   reliable.send({ type: 'seen', id }, 'user2');             // one peer, untracked
+ */
+
+// ═══════════════════════════════════════════════════════════════
+//  WIRE FORMAT (inside SecureSession envelopes)
+// ═══════════════════════════════════════════════════════════════
+//
+//  { type: 'rel', epoch, seq, msg }
+//  { type: 'rel-ack', epoch, upTo }   — everything up to and including upTo arrived
+
+const RETRANSMIT_MS = 4000;
+const MAX_RETRANSMITS = 5; // while the peer's session is up; time away doesn't count
+
+function newEpoch() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(8)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  RELIABLE CHANNEL
+// ═══════════════════════════════════════════════════════════════
+
+class ReliableChannel {
+    /**
+     * @param {SecureSession} secure
+     * @param {Mailbox} [mailbox] store-and-forward for peers that are away
+     */
+    constructor(secure, mailbox = null) {
+        this.secure = secure;
+        this.mailbox = mailbox;
+
+        /**
+         * Our stream to each peer.
+         * @type {Map<string, { epoch: string, nextSeq: number,
+         *                      unacked: Map<number, { msg: object, trackId: string, tries: number, sentAt: number,
+         *                                            mailed?: boolean }> }>}
+         */
+        this.outgoing = new Map();
+
+        /**
+         * Each peer's stream to us.
+         * @type {Map<string, { epoch: string, expected: number, buffer: Map<number, object> }>}
+         */
+        this.incoming = new Map();
+
+        /** @type {Map<string, Set<string>>} trackId → peers that still owe an ack */
+        this.pending = new Map();
+
+        this._orphans = []; // sent while alone in the room; go to the first peer that connects
+        this._listeners = {};
+
+        this._bindSecureEvents();
+        this._timer = setInterval(() => this._retransmitDue(), RETRANSMIT_MS);
+    }
+
+    on(event, fn) {
+        if (!this._listeners[event]) this._listeners[event] = [];
+        this._listeners[event].push(fn);
+        return this;
+    }
+
+    _emit(event, ...args) {
+        (this._listeners[event] || []).forEach(fn => fn(...args));
+    }
+
+    _stream(peerId) {
+        if (!this.outgoing.has(peerId)) {
+            this.outgoing.set(peerId, { epoch: newEpoch(), nextSeq: 0, unacked: new Map() });
+        }
+        return this.outgoing.get(peerId);
+    }
+
+    _bindSecureEvents() {
+        this.secure.on('message', (msg, peerId) => {
+            if (msg.type === 'rel') this._onReliable(msg, peerId);
+            else if (msg.type === 'rel-ack') this._onAck(msg, peerId);
+        });
+
+        // A (re)established session: hand over anything still unacked, in order
+        this.secure.on('ready', (safetyNumber, peerId) => {
+            this._orphans.splice(0).forEach(({ msg, trackId }) => this.send(msg, peerId, trackId));
+            const stream = this.outgoing.get(peerId);
+            if (stream) stream.unacked.forEach((entry, seq) => this._transmit(peerId, seq));
+        });
+
+        // The channel went down with messages in flight: mail them
+        this.secure.on('reset', (peerId) => {
+            const stream = this.outgoing.get(peerId);
+            if (stream) stream.unacked.forEach((entry, seq) => this._mail(peerId, seq));
+        });
+
+        if (this.mailbox) {
+            this.mailbox.on('message', (msg, peerId) => {
+                if (msg.type === 'rel') this._onReliable(msg, peerId);
+            });
+        }
+    }
+
+    // ─── Sending ───────────────────────────────────────────
+
+    /**
+     * Queue a message for one peer, or for everyone in the room.
+     * @param {string} [trackId] report 'delivered' / 'failed' under this id
+     */
+    send(msg, peerId, trackId) {
+        const targets = peerId ? [peerId] : [...this.secure.peer.signaling.peers];
+        if (targets.length === 0) {
+            this._orphans.push({ msg, trackId });
+            return;
+        }
+        if (trackId) {
+            const owed = this.pending.get(trackId) || new Set();
+            targets.forEach(id => owed.add(id));
+            this.pending.set(trackId, owed);
+        }
+        targets.forEach((id) => {
+            const stream = this._stream(id);
+            const seq = stream.nextSeq++;
+            stream.unacked.set(seq, { msg, trackId, tries: 0, sentAt: 0 });
+            this._transmit(id, seq);
+        });
+    }
+
+    _transmit(peerId, seq) {
+        const stream = this.outgoing.get(peerId);
+        const entry = stream && stream.unacked.get(seq);
+        if (!entry) return;
+        // Without a session it waits for the next 'ready' (and goes to the mailbox)
+        if (!this.secure.isReady(peerId)) {
+            this._mail(peerId, seq);
+            return;
+        }
+        entry.sentAt = Date.now();
+        this.secure.send({ type: 'rel', epoch: stream.epoch, seq, msg: entry.msg }, peerId);
+    }
+
+    _mail(peerId, seq) {
+        const stream = this.outgoing.get(peerId);
+        const entry = stream && stream.unacked.get(seq);
+        if (!entry || entry.mailed || !this.mailbox || !this.mailbox.canReach(peerId)) return;
+        entry.mailed = true;
+        this.mailbox.post(peerId, { type: 'rel', epoch: stream.epoch, seq, msg: entry.msg }).then((stored) => {
+            if (!stored) entry.mailed = false;
+            else if (entry.trackId && stream.unacked.has(seq)) this._emit('queued', entry.trackId, peerId);
+        });
+    }
+
+    _retransmitDue() {
+        const now = Date.now();
+        this.outgoing.forEach((stream, peerId) => {
+            if (!this.secure.isReady(peerId)) return;
+            for (const [seq, entry] of stream.unacked) {
+                if (now - entry.sentAt < RETRANSMIT_MS) continue;
+                if (entry.sentAt && ++entry.tries > MAX_RETRANSMITS) {
+                    this._failStream(peerId);
+                    return;
+                }
+                this._transmit(peerId, seq);
+            }
+        });
+    }
+
+    _onAck({ epoch, upTo }, peerId) {
+        const stream = this.outgoing.get(peerId);
+        if (!stream || stream.epoch !== epoch) return;
+        for (const [seq, entry] of stream.unacked) {
+            if (seq > upTo) break;
+            stream.unacked.delete(seq);
+            this._settle(entry.trackId, peerId);
+        }
+    }
+
+    _settle(trackId, peerId) {
+        const owed = trackId && this.pending.get(trackId);
+        if (!owed) return;
+        owed.delete(peerId);
+        if (owed.size === 0) {
+            this.pending.delete(trackId);
+            this._emit('delivered', trackId);
+        }
+    }
+
+    /**
+     * Give up on everything queued for a peer and start a fresh stream, so
+     * the receiver doesn't wait forever for a sequence number that will
+     * never come.
+     * @param {boolean} [keepMailed] don't report messages the mailbox holds
+     */
+    _failStream(peerId, keepMailed = false) {
+        const stream = this.outgoing.get(peerId);
+        if (!stream) return;
+        this.outgoing.delete(peerId);
+        stream.unacked.forEach(({ trackId, mailed }) => {
+            if (keepMailed && mailed) return;
+            const owed = trackId && this.pending.get(trackId);
+            if (owed) {
+                owed.delete(peerId);
+                if (owed.size === 0) this.pending.delete(trackId);
+            }
+            if (trackId) this._emit('failed', trackId, peerId);
+        });
+    }
+
+    /**
+     * A peer left the room: fail what it never acked, unless the mailbox
+     * holds it for when the peer rejoins.
+     */
+    forget(peerId) {
+        this._failStream(peerId, true);
+        this.incoming.delete(peerId);
+    }
+
+    // ─── Receiving ─────────────────────────────────────────
+
+    _onReliable({ epoch, seq, msg }, peerId) {
+        let inc = this.incoming.get(peerId);
+        if (!inc || inc.epoch !== epoch) {
+            inc = { epoch, expected: seq, buffer: new Map() };
+            this.incoming.set(peerId, inc);
+        }
+
+        // Anything below `expected` was already delivered — just re-ack it
+        if (seq >= inc.expected && !inc.buffer.has(seq)) {
+            inc.buffer.set(seq, msg);
+            while (inc.buffer.has(inc.expected)) {
+                const next = inc.buffer.get(inc.expected);
+                inc.buffer.delete(inc.expected);
+                inc.expected++;
+                this._emit('message', next, peerId);
+            }
+        }
+        this.secure.send({ type: 'rel-ack', epoch, upTo: inc.expected - 1 }, peerId);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  EXPORTS (global for inline script usage)
+// ═══════════════════════════════════════════════════════════════
+
+window.ReliableChannel = ReliableChannel;
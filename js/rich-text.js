@@ -0,0 +1,171 @@
+/**
+ * rich-text.js — Safe rendering of chat text, avatars and file names.
+ *
+ * Provides:
+ *   - RichText.render(text):        escaped HTML with a small Markdown subset:
+ *                                   **bold**, *italics* / _italics_, `inline code`,
+ *                                   ```lang fenced code``` (highlighted when
+ *                                   highlight.js is loaded) and auto-linked
+ *                                   http(s) URLs.
+ *   - RichText.escapeHtml(str):     escape for text and attribute context.
+ *   - RichText.safeImageSrc(url):   an avatar URL that is safe to put in <img src>
+ *                                   (data:, blob: or a bundled image; never remote).
+ *   - RichText.safeFileName(name):  a file name without path tricks, control
+ *                                   or bidi-override characters.
+ *
+ * Everything a peer sends is untrusted. Text is escaped first and markup is
+ * only ever added around escaped pieces, so no peer-supplied HTML survives.
+ * Links open in a new tab with rel="noopener noreferrer"; the preview is
+ * just the host name — nothing is fetched, since a fetch would tell the
+ * linked site who is chatting.
+ *
+ * Usage (from chat.html):
+ *   el.innerHTML = RichText.render(msg.text);
+ *   `<img src="${RichText.safeImageSrc(msg.avatar)}">`
+ */
+
+// ═══════════════════════════════════════════════════════════════
+//  ESCAPING
+// ═══════════════════════════════════════════════════════════════
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  MARKDOWN SUBSET
+// ═══════════════════════════════════════════════════════════════
+
+const FENCE_RE = /```([\w+#-]*)[^\S\n]*\n?([\s\S]*?)```/g;
+const INLINE_CODE_RE = /`([^`\n]+)`/g;
+const URL_RE = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+const TRAILING_PUNCT_RE = /[.,!?;:)\]}'"]+$/;
+const LINK_TEXT_MAX = 60;
+
+/**
+ * Split a string on a global regex into [{ text } | { match }] pieces.
+ */
+function splitOn(str, re) {
+    const parts = [];
+    let last = 0;
+    str.replace(re, (...args) => {
+        const match = args[0];
+        const offset = args[args.length - 2];
+        if (offset > last) parts.push({ text: str.slice(last, offset) });
+        parts.push({ match: args });
+        last = offset + match.length;
+        return match;
+    });
+    if (last < str.length) parts.push({ text: str.slice(last) });
+    return parts;
+}
+
+function renderEmphasis(raw) {
+    return escapeHtml(raw)
+        .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\n]+)\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_([^_\n]+)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/\n/g, '<br>');
+}
+
+function renderLink(url) {
+    let host = url;
+    try { host = new URL(url).host; } catch { /* keep the raw text */ }
+    const shown = url.length > LINK_TEXT_MAX ? url.slice(0, LINK_TEXT_MAX) + '…' : url;
+    return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(url)}">`
+        + `${escapeHtml(shown)}</a><span class="md-link-host">${escapeHtml(host)}</span>`;
+}
+
+function renderLinks(raw) {
+    return splitOn(raw, URL_RE).map((part) => {
+        if (part.text !== undefined) return renderEmphasis(part.text);
+        // "see https://example.com)." — the punctuation is not part of the URL
+        const url = part.match[0];
+        const trailing = (url.match(TRAILING_PUNCT_RE) || [''])[0];
+        const bare = url.slice(0, url.length - trailing.length);
+        return renderLink(bare) + renderEmphasis(trailing);
+    }).join('');
+}
+
+function renderInline(raw) {
+    return splitOn(raw, INLINE_CODE_RE).map(part => (part.text !== undefined
+        ? renderLinks(part.text)
+        : `<code class="md-inline-code">${escapeHtml(part.match[1])}</code>`)).join('');
+}
+
+function renderCodeBlock(lang, code) {
+    const body = code.replace(/\n$/, '');
+    let highlighted = escapeHtml(body);
+    // highlight.js escapes the source itself and only adds <span class="hljs-…">
+    if (window.hljs) {
+        try {
+            highlighted = lang && window.hljs.getLanguage(lang)
+                ? window.hljs.highlight(body, { language: lang, ignoreIllegals: true }).value
+                : window.hljs.highlightAuto(body).value;
+        } catch { /* fall back to plain escaped text */ }
+    }
+    const langClass = lang ? ` language-${escapeHtml(lang)}` : '';
+    return `<pre class="md-code"><code class="hljs${langClass}">${highlighted}</code></pre>`;
+}
+
+function render(text) {
+    const parts = splitOn(String(text ?? ''), FENCE_RE);
+    return parts.map((part, i) => {
+        if (part.text === undefined) return renderCodeBlock(part.match[1], part.match[2]);
+        // The line breaks around a fence belong to the block, not the text
+        let raw = part.text;
+        if (i > 0) raw = raw.replace(/^\n/, '');
+        if (i < parts.length - 1) raw = raw.replace(/\n$/, '');
+        return renderInline(raw);
+    }).join('');
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  AVATARS AND FILE NAMES
+// ═══════════════════════════════════════════════════════════════
+
+const SAFE_IMAGE_RES = [
+    /^data:image\/(png|jpe?g|gif|webp|avif);base64,[a-z0-9+/=]+$/i, // camera snapshots, custom uploads
+    /^blob:/i,
+    /^\/?(?!\/)[\w\-./]+\.(avif|png|jpe?g|gif|webp|svg)$/i,       // bundled avatars (not //host/…)
+];
+
+/**
+ * Escaped avatar URL, or the fallback if it is not an image URL we allow.
+ * No remote URLs: loading one would show its host the IP of everyone who
+ * sees the avatar.
+ */
+function safeImageSrc(url, fallback = '/avatar.avif') {
+    const value = typeof url === 'string' && SAFE_IMAGE_RES.some(re => re.test(url)) ? url : fallback;
+    return escapeHtml(value);
+}
+
+// Controls, and the bidi overrides that make "invoice_fdp.exe" look like "invoice_exe.pdf"
+const UNSAFE_NAME_CHARS_RE = /[\u0000-\u001f\u007f\u200e\u200f\u202a-\u202e\u2066-\u2069]/g;
+
+function safeFileName(name) {
+    const cleaned = String(name ?? '')
+        .replace(UNSAFE_NAME_CHARS_RE, '')
+        .replace(/[\\/:*?"<>|]/g, '_')
+        .replace(/^\.+/, '')
+        .trim();
+    return cleaned.slice(0, 255) || 'file';
+}
+
+/**
+ * Relative folder path with every segment cleaned and ".." dropped.
+ */
+function safeFilePath(path) {
+    const segments = String(path ?? '').split('/')
+        .filter(seg => seg && seg !== '.' && seg !== '..')
+        .map(safeFileName);
+    return segments.join('/') || 'file';
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  EXPORTS (global for inline script usage)
+// ═══════════════════════════════════════════════════════════════
+
+window.RichText = { render, escapeHtml, safeImageSrc, safeFileName, safeFilePath };
@@ -0,0 +1,407 @@
+/**
+ * secure-session.js — End-to-end encryption for the Silent-Byte data channel.
+ *
+ * Provides:
+ *   - SecureSession: ECDH (P-256) key agreement over the PeerManager data
+ *                    channels, AES-GCM encryption with a per-session key and
+ *                    a short safety number both users can compare. File
+ *                    chunks are sealed under the same key (encryptBytes).
+ *
+ * A fresh ephemeral key pair is generated every time a data channel opens,
+ * so each WebRTC session with each peer gets its own key. Nothing secret
+ * ever touches the signaling server.
+ *
+ * The same agreement also yields a separate mailbox key (seal / unseal) for
+ * messages left on the server while a peer is away. Mailbox keys outlive
+ * the data channel — the point is to reach a peer with no channel — and the
+ * last few per peer are kept, so mail sealed before a reconnect still opens.
+ *
+ * Usage (from chat.html):
+ *   const secure = new SecureSession(peer);
+ *   secure.on('message', (msg, peerId) => { ... });
+ *   secure.send({ type: 'chat', text: 'hi' });         // everyone
+ *   secure.send({ type: 'seen', id }, 'user2');        // one peer
+ */
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function bufToB64(buf) {
+    const bytes = new Uint8Array(buf);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+function b64ToBuf(b64) {
+    const binary = atob(b64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+}
+
+/**
+ * Concatenate two public keys in a stable (sorted) order so both sides
+ * derive the same salt and safety number.
+ */
+function sortedConcat(a, b) {
+    const ua = new Uint8Array(a);
+    const ub = new Uint8Array(b);
+    const aFirst = bufToB64(ua) < bufToB64(ub);
+    const out = new Uint8Array(ua.length + ub.length);
+    out.set(aFirst ? ua : ub, 0);
+    out.set(aFirst ? ub : ua, ua.length);
+    return out;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  SECURE SESSION
+// ═══════════════════════════════════════════════════════════════
+
+const KEY_INFO = new TextEncoder().encode('silent-byte-e2e-v1');
+const MAILBOX_KEY_INFO = new TextEncoder().encode('silent-byte-mailbox-v1');
+const MAILBOX_KEYS_KEPT = 3;
+
+class SecureSession {
+    constructor(peer) {
+        this.peer = peer;
+
+        /**
+         * Pairwise key state per remote peer. In a group room every pair of
+         * participants agrees its own key; nobody shares a group key.
+         * @type {Map<string, { key: CryptoKey, safetyNumber: string, keyPair: CryptoKeyPair,
+         *                      localPublic: ArrayBuffer, handshake: Promise, agreement: Promise,
+         *                      pending: object[], sendChain: Promise, recvChain: Promise }>}
+         */
+        this.sessions = new Map();
+        /** @type {Map<string, CryptoKey[]>} peerId → mailbox keys, newest first */
+        this.mailboxKeys = new Map();
+        /**
+         * Broadcasts sent before any peer was connected, and who has had them.
+         * @type {Array<{ obj: object, sentTo: Set<string> }>}
+         */
+        this._pending = [];
+        this._listeners = {};
+
+        this._bindPeerEvents();
+    }
+
+    on(event, fn) {
+        if (!this._listeners[event]) this._listeners[event] = [];
+        this._listeners[event].push(fn);
+        return this;
+    }
+
+    _emit(event, ...args) {
+        (this._listeners[event] || []).forEach(fn => fn(...args));
+    }
+
+    _session(peerId) {
+        if (!this.sessions.has(peerId)) {
+            this.sessions.set(peerId, {
+                key: null,
+                safetyNumber: null,
+                keyPair: null,
+                localPublic: null,
+                handshake: null,
+                agreement: null,
+                pending: [],
+                sendChain: Promise.resolve(),
+                recvChain: Promise.resolve(),
+            });
+        }
+        return this.sessions.get(peerId);
+    }
+
+    /**
+     * Whether a key is agreed with one peer, or with any peer.
+     */
+    isReady(peerId) {
+        if (peerId) return !!(this.sessions.get(peerId) || {}).key;
+        return [...this.sessions.values()].some(sess => !!sess.key);
+    }
+
+    /**
+     * Safety numbers of every peer we currently share a key with.
+     * @returns {Object<string, string>} peerId → safety number
+     */
+    safetyNumbers() {
+        const out = {};
+        this.sessions.forEach((sess, peerId) => {
+            if (sess.safetyNumber) out[peerId] = sess.safetyNumber;
+        });
+        return out;
+    }
+
+    /**
+     * Drop all key material and queued messages for a peer that left.
+     */
+    forget(peerId) {
+        this.sessions.delete(peerId);
+        this._emit('reset', peerId);
+    }
+
+    // ─── Peer Event Handlers ───────────────────────────────
+
+    _bindPeerEvents() {
+        this.peer.on('datachannel-open', (peerId) => {
+            this._ensureHandshake(peerId, this._session(peerId));
+        });
+
+        this.peer.on('datachannel-close', (peerId) => {
+            this._reset(peerId);
+        });
+
+        this.peer.on('datachannel-message', (data, peerId) => {
+            let msg;
+            try { msg = JSON.parse(data); } catch { return; }
+
+            if (msg.type === 'key-exchange') {
+                const sess = this._session(peerId);
+                sess.agreement = this._onRemoteKey(peerId, sess, msg.publicKey);
+                sess.agreement.catch(err => console.error('[Secure] Key agreement failed:', err));
+            } else if (msg.type === 'secure') {
+                this._onSecureMessage(peerId, msg);
+            }
+        });
+    }
+
+    _reset(peerId) {
+        const sess = this.sessions.get(peerId);
+        if (!sess) return;
+        sess.key = null;
+        sess.safetyNumber = null;
+        sess.keyPair = null;
+        sess.localPublic = null;
+        sess.handshake = null;
+        sess.agreement = null;
+        this._emit('reset', peerId);
+    }
+
+    // ─── Key Agreement ─────────────────────────────────────
+
+    /**
+     * Start our half of the key exchange unless it is already under way
+     * for this channel (the peer's key may arrive before our open event).
+     */
+    _ensureHandshake(peerId, sess) {
+        if (!sess.handshake) {
+            sess.handshake = this._startHandshake(peerId, sess);
+            sess.handshake.catch(err => console.error('[Secure] Handshake failed:', err));
+        }
+        return sess.handshake;
+    }
+
+    async _startHandshake(peerId, sess) {
+        sess.key = null;
+        sess.safetyNumber = null;
+        sess.keyPair = await crypto.subtle.generateKey(
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            ['deriveBits']
+        );
+        sess.localPublic = await crypto.subtle.exportKey('raw', sess.keyPair.publicKey);
+        this.peer.send(JSON.stringify({ type: 'key-exchange', publicKey: bufToB64(sess.localPublic) }), peerId);
+    }
+
+    async _onRemoteKey(peerId, sess, remoteB64) {
+        // A key can beat our own datachannel-open event; start our half
+        // now rather than drop it, then wait for it to finish.
+        await this._ensureHandshake(peerId, sess);
+
+        const remotePublic = b64ToBuf(remoteB64);
+        const remoteKey = await crypto.subtle.importKey(
+            'raw', remotePublic, { name: 'ECDH', namedCurve: 'P-256' }, false, []
+        );
+        const sharedBits = await crypto.subtle.deriveBits(
+            { name: 'ECDH', public: remoteKey }, sess.keyPair.privateKey, 256
+        );
+
+        const transcript = sortedConcat(sess.localPublic, remotePublic);
+        const salt = await crypto.subtle.digest('SHA-256', transcript);
+        const hkdfKey = await crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+
+        sess.key = await crypto.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt, info: KEY_INFO },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        sess.safetyNumber = await this._computeSafetyNumber(transcript);
+
+        const mailboxKey = await crypto.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt, info: MAILBOX_KEY_INFO },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        const keys = [mailboxKey, ...(this.mailboxKeys.get(peerId) || [])];
+        this.mailboxKeys.set(peerId, keys.slice(0, MAILBOX_KEYS_KEPT));
+
+        console.log(`[Secure] Session key established (${peerId})`);
+        this._emit('ready', sess.safetyNumber, peerId);
+        this._flushPending(peerId, sess);
+    }
+
+    /**
+     * Five groups of five digits derived from both public keys.
+     * Identical on both ends only if nobody swapped keys in transit.
+     */
+    async _computeSafetyNumber(transcript) {
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', transcript));
+        const groups = [];
+        for (let i = 0; i < 5; i++) {
+            let n = 0;
+            for (let j = 0; j < 5; j++) n = (n * 256 + hash[i * 5 + j]) % 100000;
+            groups.push(String(n).padStart(5, '0'));
+        }
+        return groups.join(' ');
+    }
+
+    // ─── Encrypt / Decrypt ─────────────────────────────────
+
+    async encrypt(key, obj) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(obj));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+        return { iv: bufToB64(iv), data: bufToB64(ciphertext) };
+    }
+
+    async decrypt(key, { iv, data }) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: new Uint8Array(b64ToBuf(iv)) }, key, b64ToBuf(data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    /**
+     * Encrypt raw bytes (a file chunk) for one peer under that peer's
+     * session key. Output is iv || ciphertext.
+     */
+    async encryptBytes(peerId, buf) {
+        const sess = this.sessions.get(peerId);
+        if (!sess || !sess.key) throw new Error(`No session key for ${peerId}`);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, sess.key, buf);
+        const out = new Uint8Array(iv.length + ciphertext.byteLength);
+        out.set(iv, 0);
+        out.set(new Uint8Array(ciphertext), iv.length);
+        return out.buffer;
+    }
+
+    async decryptBytes(peerId, buf) {
+        const sess = this.sessions.get(peerId);
+        if (!sess || !sess.key) throw new Error(`No session key for ${peerId}`);
+        return crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: new Uint8Array(buf, 0, 12) }, sess.key, new Uint8Array(buf, 12)
+        );
+    }
+
+    // ─── Mailbox Sealing ───────────────────────────────────
+
+    /**
+     * Whether we ever agreed a key with this peer (on this page load).
+     */
+    canSeal(peerId) {
+        return this.mailboxKeys.has(peerId);
+    }
+
+    /**
+     * Encrypt a message for the server-side mailbox. Returns a string the
+     * server stores as-is.
+     */
+    async seal(peerId, obj) {
+        const keys = this.mailboxKeys.get(peerId);
+        if (!keys) throw new Error(`No mailbox key for ${peerId}`);
+        return JSON.stringify(await this.encrypt(keys[0], obj));
+    }
+
+    /**
+     * Open mailbox payload from a peer, trying its recent keys in turn.
+     */
+    async unseal(peerId, payload) {
+        const envelope = JSON.parse(payload);
+        for (const key of this.mailboxKeys.get(peerId) || []) {
+            try {
+                return await this.decrypt(key, envelope);
+            } catch { /* sealed under another of this peer's keys */ }
+        }
+        throw new Error(`No mailbox key opens mail from ${peerId}`);
+    }
+
+    /**
+     * Encrypt and send a message object to one peer, or to every connected
+     * peer (each under its own key). Messages sent before a key is agreed
+     * are held in plaintext and encrypted once that session is ready, so
+     * nothing is ever encrypted under a stale key.
+     */
+    send(obj, peerId) {
+        const targets = peerId ? [peerId] : [...this.peer.links.keys()];
+        if (targets.length === 0) {
+            this._pending.push({ obj, sentTo: new Set() });
+            return false;
+        }
+
+        let sentToAll = true;
+        targets.forEach((id) => {
+            const sess = this._session(id);
+            if (!sess.key) {
+                sess.pending.push(obj);
+                sentToAll = false;
+                return;
+            }
+            const key = sess.key;
+            // Chain so ciphertexts leave in the order send() was called
+            sess.sendChain = sess.sendChain
+                .then(() => this.encrypt(key, obj))
+                .then(envelope => this.peer.send(JSON.stringify({ type: 'secure', ...envelope }), id))
+                .catch(err => console.error('[Secure] Encrypt failed:', err));
+        });
+        return sentToAll;
+    }
+
+    /**
+     * A session is ready: send what was held for it. Early broadcasts go to
+     * every peer whose session comes up, and are forgotten once everyone
+     * currently in the room has had them.
+     */
+    _flushPending(peerId, sess) {
+        const early = this._pending.filter(p => !p.sentTo.has(peerId));
+        early.forEach(p => p.sentTo.add(peerId));
+        const room = [...this.peer.signaling.peers];
+        this._pending = this._pending.filter(p => room.some(id => !p.sentTo.has(id)));
+
+        early.map(p => p.obj).concat(sess.pending.splice(0)).forEach(obj => this.send(obj, peerId));
+    }
+
+    _onSecureMessage(peerId, envelope) {
+        const sess = this._session(peerId);
+        // The peer may finish key agreement (and start sending) before we do,
+        // so wait for our side before decrypting. Chained to keep order.
+        sess.recvChain = sess.recvChain.then(async () => {
+            if (!sess.key && sess.agreement) await sess.agreement.catch(() => { });
+            if (!sess.key) {
+                console.warn('[Secure] Dropped encrypted message: no session key');
+                return;
+            }
+            let msg;
+            try {
+                msg = await this.decrypt(sess.key, envelope);
+            } catch (err) {
+                console.error('[Secure] Decrypt failed:', err);
+                this._emit('decrypt-error', err, peerId);
+                return;
+            }
+            this._emit('message', msg, peerId);
+        });
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  EXPORTS (global for inline script usage)
+// ═══════════════════════════════════════════════════════════════
+
+window.SecureSession = SecureSession;
@@ -0,0 +1,69 @@
+/**
+ * Cluster mode — run several instances behind a load balancer.
+ *
+ * Enabled with CLUSTER=1. Requires the Mongo room store, which then holds
+ * the authoritative room state for every node:
+ *   - Socket.io's Mongo adapter relays emits to sockets on other nodes
+ *     (io.to(socketId), io.in(roomCode)), using a capped collection.
+ *   - Every room change is published with io.serverSideEmit('room-sync')
+ *     so other nodes update their in-memory copy straight away.
+ *
+ * The adapter uses change streams, so MongoDB must run as a replica set.
+ * Local test with two instances:
+ *   mongod --replSet rs0 --dbpath ./data/db   (then rs.initiate() once in mongosh)
+ *   CLUSTER=1 uri=mongodb://localhost:27017/?replicaSet=rs0 PORT=3000 npm start
+ *   CLUSTER=1 uri=mongodb://localhost:27017/?replicaSet=rs0 PORT=3001 npm start
+ * Create a room on :3000 and join it from :3001.
+ */
+
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const { connectDB } = require('./db');
+const { MongoRoomStore } = require('./roomStore');
+
+const ADAPTER_COLLECTION = 'socket.io-adapter-events';
+const ADAPTER_COLLECTION_BYTES = 1e6;
+
+function isClusterEnabled(env = process.env) {
+    return /^(1|true|yes)$/i.test(env.CLUSTER || '');
+}
+
+/**
+ * Attach the Mongo adapter to io. Call before handlers are registered.
+ */
+async function setupAdapter(io, store) {
+    if (!(store instanceof MongoRoomStore)) {
+        throw new Error('Cluster mode needs the mongo room store (ROOM_STORE=mongo).');
+    }
+
+    const { db } = await connectDB();
+    await db.createCollection(ADAPTER_COLLECTION, {
+        capped: true,
+        size: ADAPTER_COLLECTION_BYTES,
+    }).catch(() => { }); // already exists
+
+    io.adapter(createAdapter(db.collection(ADAPTER_COLLECTION)));
+    console.log('[Cluster] Mongo adapter attached');
+}
+
+/**
+ * IDs of the sockets connected to any node, for RoomManager's liveSocketIds.
+ */
+async function liveSocketIds(io) {
+    const sockets = await io.fetchSockets();
+    return new Set(sockets.map(s => s.id));
+}
+
+/**
+ * Keep this node's room cache in step with the others.
+ */
+function syncRoomManager(io, roomManager) {
+    roomManager.onChange((roomCode, room, expired) => {
+        io.serverSideEmit('room-sync', roomCode, room, expired);
+    });
+
+    io.on('room-sync', (roomCode, room, expired) => {
+        roomManager.applyRemoteChange(roomCode, room, expired);
+    });
+}
+
+module.exports = { isClusterEnabled, liveSocketIds, setupAdapter, syncRoomManager };
@@ -2,6 +2,7 @@ const { MongoClient } = require('mongodb');
 
 const DB_NAME = 'videochat';
 const ROOMS_COLLECTION = 'rooms';
+const ABANDONED_ROOM_TTL_S = 7 * 24 * 60 * 60; // 7 days without activity
 
 let client = null;
 let db = null;
@@ -38,6 +39,11 @@ async function connectDB() {
     await roomsColl.createIndex({ roomCode: 1 }, { unique: true }).catch(() => { });
     await roomsColl.createIndex({ 'users.socketId': 1 }).catch(() => { });
 
+    // TTL: Mongo deletes a room once its chosen expiresAt passes, and drops
+    // rooms nobody has touched for ABANDONED_ROOM_TTL_S regardless
+    await roomsColl.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }).catch(() => { });
+    await roomsColl.createIndex({ lastActiveAt: 1 }, { expireAfterSeconds: ABANDONED_ROOM_TTL_S }).catch(() => { });
+
     return { db, roomsColl };
 }
 
@@ -0,0 +1,59 @@
+/**
+ * Connection diagnostics.
+ *
+ * Serves the /diagnostics self-test page and the server-side facts its
+ * report needs: server time (for clock skew) and which ICE servers the
+ * deployment hands out. The browser does the actual testing, in a
+ * throwaway room, with the same signaling and ICE config endpoints that
+ * chat uses.
+ *
+ * Nothing secret is exposed: static TURN credentials and TURN_SECRET stay
+ * on the server, only whether each TURN server can be authenticated.
+ */
+
+const path = require('path');
+const { loadIceConfig } = require('./iceConfig');
+
+/**
+ * How a client would authenticate against one ICE server entry.
+ */
+function authKind(server, env) {
+    if (!server.urls.some(url => /^turns?:/.test(url))) return 'none';
+    if (server.username) return 'static';
+    return env.TURN_SECRET ? 'minted' : 'unavailable';
+}
+
+/**
+ * Public summary of the ICE config; the same shape for every caller.
+ */
+function describeIceConfig(config, env = process.env) {
+    return {
+        iceTransportPolicy: config.iceTransportPolicy,
+        servers: config.servers.map(server => ({
+            urls: server.urls,
+            region: server.region || null,
+            auth: authKind(server, env),
+        })),
+    };
+}
+
+/**
+ * Register the diagnostics page and its info route on an Express app.
+ * @param {string} rootDir directory holding diagnostics.html
+ */
+function registerDiagnostics(app, rootDir) {
+    const ice = describeIceConfig(loadIceConfig());
+
+    app.get('/diagnostics', (_, res) => res.sendFile(path.join(rootDir, 'diagnostics.html')));
+
+    app.get('/api/diagnostics', (_, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            serverTime: new Date().toISOString(),
+            uptimeS: Math.round(process.uptime()),
+            ice,
+        });
+    });
+}
+
+module.exports = { describeIceConfig, registerDiagnostics };
@@ -1,49 +1,236 @@
 /**
  * ICE Server configuration.
- * 
+ *
  * Serves STUN/TURN credentials via a REST endpoint so the client
  * can fetch them dynamically instead of hardcoding in HTML.
- * 
- * To use your own TURN server, update the credentials via environment
- * variables: TURN_URL, TURN_USERNAME, TURN_CREDENTIAL
+ *
+ * TURN credentials are minted per request with the TURN REST API scheme
+ * that coturn's `use-auth-secret` expects: the username is
+ * `<expiry unix time>:<seat>` and the credential is the base64 HMAC-SHA1
+ * of that username under the secret shared with the TURN server. They stop
+ * working after TURN_TTL_S seconds, and are only handed to sockets that
+ * currently hold a seat in a room.
+ *
+ * The server list comes from a JSON config (ICE_CONFIG_FILE, or the same
+ * JSON inline in ICE_SERVERS):
+ *
+ *   {
+ *     "iceTransportPolicy": "all",            // or "relay": never expose host IPs
+ *     "servers": [
+ *       { "urls": "stun:stun.eu.example.com:3478", "region": "eu" },
+ *       { "urls": ["turn:turn.eu.example.com:443?transport=tcp"], "region": "eu" },
+ *       { "urls": "turns:turn.us.example.com:5349", "region": "us",
+ *         "username": "static-user", "credential": "static-pass" }
+ *     ]
+ *   }
+ *
+ * TURN entries without a username get minted credentials (TURN_SECRET
+ * required). A client may ask for a region (servers without one are always
+ * included) and for relay-only; a "relay" policy in the config cannot be
+ * relaxed by the client. Keep the file outside the served directory if it
+ * holds static credentials.
+ *
+ * Without a config: Google STUN, plus TURN on TURN_URL ports 80/443. That
+ * TURN server uses minted credentials when TURN_SECRET is set, otherwise the
+ * static TURN_USERNAME / TURN_CREDENTIAL pair; with neither, startup fails
+ * rather than quietly running without a relay. With no TURN variables at
+ * all, the public Open Relay server and its shared credentials are used.
+ *
+ * Environment:
+ *   ICE_CONFIG_FILE  path to the JSON config
+ *   ICE_SERVERS      the JSON config itself (when no file is used)
+ *   TURN_URL         TURN host for the built-in list (default openrelay.metered.ca)
+ *   TURN_SECRET      coturn `static-auth-secret`
+ *   TURN_USERNAME    static TURN username for TURN_URL (when there is no TURN_SECRET)
+ *   TURN_CREDENTIAL  static TURN password for TURN_URL
+ *   TURN_TTL_S       credential lifetime in seconds (default 3600)
  */
 
-function getIceServers() {
-    const turnUrl = process.env.TURN_URL || 'openrelay.metered.ca';
-    const turnUsername = process.env.TURN_USERNAME || 'openrelayproject';
-    const turnCredential = process.env.TURN_CREDENTIAL || 'openrelayproject';
-
-    return {
-        iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:stun1.l.google.com:19302' },
-            {
-                urls: `turn:${turnUrl}:80`,
-                username: turnUsername,
-                credential: turnCredential,
-            },
-            {
-                urls: `turn:${turnUrl}:443`,
-                username: turnUsername,
-                credential: turnCredential,
-            },
-            {
-                urls: `turn:${turnUrl}:443?transport=tcp`,
-                username: turnUsername,
-                credential: turnCredential,
-            },
-        ],
+const fs = require('fs');
+const crypto = require('crypto');
+const express = require('express');
+const { ErrorCodes } = require('./roomManager');
+
+const DEFAULT_TURN_TTL_S = 60 * 60;
+const TRANSPORT_POLICIES = ['all', 'relay'];
+const ICE_URL_RE = /^(stun|stuns|turn|turns):/;
+
+// Public relay used when no TURN variables are set
+const DEFAULT_TURN = { host: 'openrelay.metered.ca', username: 'openrelayproject', credential: 'openrelayproject' };
+
+const DEFAULT_STUN_SERVERS = [
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:stun1.l.google.com:19302' },
+];
+
+function turnTtlSeconds(env = process.env) {
+    const ttl = parseInt(env.TURN_TTL_S, 10);
+    return ttl > 0 ? ttl : DEFAULT_TURN_TTL_S;
+}
+
+/**
+ * Time-limited TURN username/credential for one seat.
+ */
+function mintTurnCredentials(secret, userId, ttlSeconds, now = Date.now()) {
+    const username = `${Math.floor(now / 1000) + ttlSeconds}:${userId}`;
+    const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+    return { username, credential };
+}
+
+// ─── Config Loading ────────────────────────────────────────────
+
+function isTurnServer(server) {
+    return server.urls.some(url => /^turns?:/.test(url));
+}
+
+/**
+ * Check and normalize a parsed config (urls always an array).
+ * @throws {Error} describing the first problem found
+ */
+function normalizeIceConfig(raw) {
+    if (!raw || !Array.isArray(raw.servers) || raw.servers.length === 0) {
+        throw new Error('ICE config needs a non-empty "servers" array.');
+    }
+    const iceTransportPolicy = raw.iceTransportPolicy || 'all';
+    if (!TRANSPORT_POLICIES.includes(iceTransportPolicy)) {
+        throw new Error(`ICE config: iceTransportPolicy must be one of ${TRANSPORT_POLICIES.join(', ')}.`);
+    }
+
+    const servers = raw.servers.map((server, i) => {
+        const urls = [].concat(server && server.urls);
+        if (urls.length === 0 || !urls.every(url => typeof url === 'string' && ICE_URL_RE.test(url))) {
+            throw new Error(`ICE config: servers[${i}].urls must be stun:/turn: URLs.`);
+        }
+        if (!!server.username !== !!server.credential) {
+            throw new Error(`ICE config: servers[${i}] needs both username and credential, or neither.`);
+        }
+        const entry = { urls };
+        if (server.region) entry.region = String(server.region);
+        if (server.username) Object.assign(entry, { username: server.username, credential: server.credential });
+        return entry;
+    });
+
+    return { iceTransportPolicy, servers };
+}
+
+/**
+ * The deployment's ICE config, from ICE_CONFIG_FILE / ICE_SERVERS or the
+ * built-in default.
+ * @throws {Error} if the configured file or JSON is unreadable or invalid
+ */
+function loadIceConfig(env = process.env) {
+    let source = null;
+    if (env.ICE_CONFIG_FILE) source = fs.readFileSync(env.ICE_CONFIG_FILE, 'utf8');
+    else if (env.ICE_SERVERS) source = env.ICE_SERVERS;
+
+    if (source !== null) {
+        let raw;
+        try {
+            raw = JSON.parse(source);
+        } catch (err) {
+            throw new Error(`ICE config is not valid JSON: ${err.message}`);
+        }
+        return normalizeIceConfig(raw);
+    }
+
+    const servers = DEFAULT_STUN_SERVERS.map(s => ({ urls: [s.urls] }));
+    const turnUrls = host => [`turn:${host}:80`, `turn:${host}:443`, `turn:${host}:443?transport=tcp`];
+    if (!env.TURN_URL && !env.TURN_SECRET && !env.TURN_USERNAME && !env.TURN_CREDENTIAL) {
+        const { host, username, credential } = DEFAULT_TURN;
+        servers.push({ urls: turnUrls(host), username, credential });
+        return { iceTransportPolicy: 'all', servers };
+    }
+
+    if (!env.TURN_URL) {
+        throw new Error('TURN credentials are set but TURN_URL is not.');
+    }
+    if (!!env.TURN_USERNAME !== !!env.TURN_CREDENTIAL) {
+        throw new Error('TURN_USERNAME and TURN_CREDENTIAL must be set together.');
+    }
+    const turn = { urls: turnUrls(env.TURN_URL) };
+    if (!env.TURN_SECRET) {
+        if (!env.TURN_USERNAME) {
+            throw new Error('TURN_URL is set but there is no TURN_SECRET or TURN_USERNAME/TURN_CREDENTIAL to use it with.');
+        }
+        Object.assign(turn, { username: env.TURN_USERNAME, credential: env.TURN_CREDENTIAL });
+    }
+    servers.push(turn);
+    return { iceTransportPolicy: 'all', servers };
+}
+
+// ─── Per-Seat Config ───────────────────────────────────────────
+
+/**
+ * ICE config for one seat. `ttl` (seconds) tells the client when to fetch
+ * fresh credentials; it is absent when there is nothing that expires.
+ * @param {{ region?: string, relayOnly?: boolean }} [options] what the client asked for
+ */
+function getIceServers(userId, config = loadIceConfig(), options = {}, env = process.env) {
+    const secret = env.TURN_SECRET;
+    const ttl = turnTtlSeconds(env);
+
+    let servers = config.servers;
+    if (options.region && servers.some(s => s.region === options.region)) {
+        servers = servers.filter(s => !s.region || s.region === options.region);
+    }
+
+    let minted = false;
+    const iceServers = servers.flatMap(({ urls, username, credential }) => {
+        if (!isTurnServer({ urls }) || username) {
+            return [username ? { urls, username, credential } : { urls }];
+        }
+        if (!secret) return []; // no way to authenticate against it
+        minted = true;
+        return [{ urls, ...mintTurnCredentials(secret, userId, ttl) }];
+    });
+
+    const relayOnly = config.iceTransportPolicy === 'relay' || !!options.relayOnly;
+    const result = {
+        iceServers,
+        iceTransportPolicy: relayOnly ? 'relay' : 'all',
         iceCandidatePoolSize: 10,
     };
+    if (minted) result.ttl = ttl;
+    return result;
 }
 
 /**
- * Register the ICE config REST endpoint on an Express app.
+ * Register the ICE config REST endpoint on an Express app. The caller
+ * proves its seat the same way socket events do: room code, socket ID
+ * and seat token.
  */
-function registerIceEndpoint(app) {
-    app.get('/api/ice-config', (req, res) => {
-        res.json(getIceServers());
+function registerIceEndpoint(app, roomManager) {
+    const config = loadIceConfig();
+    const turnServers = config.servers.filter(isTurnServer);
+    if (turnServers.length === 0) {
+        console.warn('[ICE] No TURN servers configured, relay-only clients will not connect');
+    } else if (!process.env.TURN_SECRET && turnServers.some(s => !s.username)) {
+        console.warn('[ICE] TURN_SECRET not set, TURN servers without static credentials are left out');
+    }
+    console.log(`[ICE] ${config.servers.length} ICE server entries, transport policy: ${config.iceTransportPolicy}`);
+
+    const parseJson = express.json({ limit: '2kb' });
+    const parseBody = (req, res, next) => parseJson(req, res, (err) => {
+        if (err) {
+            res.status(err.status || 400).json({ success: false, code: ErrorCodes.INVALID_REQUEST, msg: 'Malformed request body' });
+            return;
+        }
+        next();
+    });
+
+    app.post('/api/ice-config', parseBody, (req, res) => {
+        const { roomCode, socketId, token, region, relayOnly } = req.body || {};
+        const seat = roomManager.authorize(roomCode, socketId, token);
+        if (!seat) {
+            res.status(403).json({ success: false, code: ErrorCodes.INVALID_TOKEN, msg: 'Seat token rejected' });
+            return;
+        }
+        res.set('Cache-Control', 'no-store');
+        res.json(getIceServers(seat.role, config, {
+            region: typeof region === 'string' ? region : undefined,
+            relayOnly: relayOnly === true,
+        }));
     });
 }
 
-module.exports = { getIceServers, registerIceEndpoint };
+module.exports = { getIceServers, loadIceConfig, mintTurnCredentials, registerIceEndpoint };
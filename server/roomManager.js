@@ -1,53 +1,336 @@
 /**
- * RoomManager — In-memory room state with MongoDB persistence.
+ * RoomManager — In-memory room state with pluggable persistence.
  * 
  * Rooms live in a Map for sub-millisecond access.
- * MongoDB is synced on key events for persistence across restarts.
+ * The room store (MongoDB, JSON file or memory — see roomStore.js) is
+ * synced on key events for persistence across restarts.
  * 
  * Graceful disconnect: when a socket disconnects, we wait DISCONNECT_GRACE_MS
  * before removing the user, allowing seamless reconnection.
+ * 
+ * Seats: a room holds up to MAX_SEATS participants. The creator is always
+ * `user1`; joiners take the lowest free seat (`user2` … `user6`). Seat
+ * names double as stable peer IDs for mesh signaling, since socket IDs
+ * change on every reconnect.
+ * 
+ * Seat ownership: every seat gets an unguessable token when it is first
+ * taken. Re-taking a seat (reconnect, rejoin, leave, signaling) requires
+ * presenting that token, so knowing the room code is not enough to hijack
+ * a seat; without it a rejoin is just a join for the lowest free seat.
+ * 
+ * Lifecycle: rooms carry createdAt / lastActiveAt and an optional
+ * expiresAt chosen by the creator. Expired rooms are swept from memory
+ * (the Mongo store also drops them via a TTL index) and leave a short-lived
+ * tombstone so late joins get "Room expired" rather than "not found".
+ * 
+ * Mailbox: while a peer is away, the others can leave it messages on the
+ * server (store-and-forward). Clients encrypt them first, so the server
+ * only keeps opaque ciphertext. Each room holds at most MAILBOX_MAX_ITEMS /
+ * MAILBOX_MAX_BYTES, and mail older than MAILBOX_TTL_MS is dropped. Mail
+ * is bound to the recipient's seat token: it can only be addressed to a
+ * seat someone holds (possibly within its grace period), and is only handed
+ * to whoever presents that seat's token again. In practice that covers a
+ * peer whose socket or data channel dropped and who is back within
+ * DISCONNECT_GRACE_MS without reloading — once the seat is given up, or the
+ * peer reloads (the keys the mail is sealed with live in the page), the
+ * mail is useless and is dropped.
+ * 
+ * Shared mode (cluster): several processes use the same store. Each one
+ * re-reads a room from the store before changing it, publishes every
+ * change through onChange() so the others can apply it, and records
+ * `disconnectedAt` on seats so any node's sweep can reap a seat whose
+ * grace period ran out on a node that went away.
  */
 
+const crypto = require('crypto');
+
 const DISCONNECT_GRACE_MS = 15000; // 15 seconds grace period
+const MAX_SEATS = 6;
+const EXPIRY_SWEEP_MS = 30 * 1000;
+const TOMBSTONE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAILBOX_MAX_ITEMS = 200;
+const MAILBOX_MAX_BYTES = 512 * 1024;
+const MAILBOX_TTL_MS = 60 * 60 * 1000;
+
+/** Lifetimes the creator may pick; anything else means "until everyone leaves". */
+const ROOM_LIFETIMES = {
+    '10m': 10 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+};
+
+const ErrorCodes = {
+    INVALID_CODE: 'INVALID_CODE',
+    ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+    SEAT_TAKEN: 'SEAT_TAKEN',
+    ROOM_FULL: 'ROOM_FULL',
+    NOT_IN_ROOM: 'NOT_IN_ROOM',
+    INVALID_TOKEN: 'INVALID_TOKEN',
+    ROOM_EXPIRED: 'ROOM_EXPIRED',
+    INVALID_RECIPIENT: 'INVALID_RECIPIENT',
+    MAILBOX_FULL: 'MAILBOX_FULL',
+    INVALID_REQUEST: 'INVALID_REQUEST',
+};
+
+const EXPIRED = { success: false, code: ErrorCodes.ROOM_EXPIRED, msg: 'Room expired' };
+
+function generateSeatToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function isValidRole(role) {
+    const match = /^user(\d)$/.exec(role || '');
+    return !!match && Number(match[1]) >= 1 && Number(match[1]) <= MAX_SEATS;
+}
+
+/**
+ * Constant-time token comparison.
+ */
+function tokensMatch(expected, given) {
+    if (typeof expected !== 'string' || typeof given !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(given);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
 
 class RoomManager {
-    constructor(roomsColl) {
-        this.roomsColl = roomsColl;
-        /** @type {Map<string, { roomCode: string, users: Array<{socketId: string, role: string}> }>} */
+    /**
+     * @param {object} store - a room store from roomStore.js
+     * @param {{ shared?: boolean, liveSocketIds?: () => Promise<Set<string>> }} [options]
+     *        shared: other processes use the same store; liveSocketIds: the
+     *        sockets connected to any node (shared mode, see loadFromStore)
+     */
+    constructor(store, { shared = false, liveSocketIds = null } = {}) {
+        this.store = store;
+        this.shared = shared;
+        this._liveSocketIds = liveSocketIds;
+        /**
+         * @type {Map<string, { roomCode: string, users: Array<{socketId: string, role: string, token: string,
+         *                                                      disconnectedAt?: number}>,
+         *                      createdAt: Date, lastActiveAt: Date, expiresAt: Date|null,
+         *                      mailbox: Array<{from: string, to: string, token: string, payload: string,
+         *                                      ts: number}> }>}
+         */
         this.rooms = new Map();
         /** @type {Map<string, NodeJS.Timeout>} key = `${roomCode}:${role}` */
         this.disconnectTimers = new Map();
+        /** @type {Map<string, number>} roomCode → time it expired */
+        this.expiredRooms = new Map();
+        this._sweepInterval = null;
+        this._changeListener = null;
     }
 
     /**
-     * Load existing rooms from MongoDB into memory on startup.
+     * Load live rooms from the store into memory on startup.
+     * Socket IDs from a previous process are meaningless, so every seat
+     * starts disconnected and gets the usual grace period to rejoin.
+     *
+     * In shared mode other nodes may be holding some of these sockets right
+     * now. Seats whose socket is connected nowhere (e.g. after the whole
+     * cluster restarted) are marked disconnected in the store, so the sweep
+     * on whichever node is left reaps them after the grace period.
      */
-    async loadFromDB() {
-        const cursor = this.roomsColl.find({});
-        const docs = await cursor.toArray();
+    async loadFromStore() {
+        const now = new Date();
+        const docs = await this.store.loadRooms();
+        const live = this.shared ? await this._fetchLiveSocketIds() : null;
         for (const doc of docs) {
-            this.rooms.set(doc.roomCode, {
-                roomCode: doc.roomCode,
-                users: doc.users || [],
-            });
+            if (!doc.users || doc.users.length === 0) continue;
+            const room = this._fromDoc(doc, now);
+
+            if (this.shared) {
+                this.rooms.set(room.roomCode, room);
+                const orphaned = live
+                    ? room.users.filter(u => !u.disconnectedAt && !live.has(u.socketId))
+                    : [];
+                orphaned.forEach((u) => { u.disconnectedAt = now.getTime(); });
+                if (orphaned.length > 0) await this._syncToStore(room.roomCode);
+                continue;
+            }
+            room.users.forEach((u) => { u.socketId = null; });
+            this.rooms.set(room.roomCode, room);
+            room.users.forEach(u => this._startGraceTimer(room.roomCode, u.role, null));
+        }
+        console.log(`[RoomManager] Loaded ${this.rooms.size} rooms from store`);
+    }
+
+    /**
+     * @returns {Promise<Set<string>|null>} null when it can't be told, so
+     *          no seat is treated as orphaned
+     */
+    async _fetchLiveSocketIds() {
+        if (!this._liveSocketIds) return null;
+        try {
+            return await this._liveSocketIds();
+        } catch (err) {
+            console.error('[RoomManager] Could not list live sockets:', err.message);
+            return null;
+        }
+    }
+
+    _fromDoc(doc, now = new Date()) {
+        const toDate = value => (value ? new Date(value) : null);
+        return {
+            roomCode: doc.roomCode,
+            users: (doc.users || []).map(u => ({ ...u })),
+            createdAt: toDate(doc.createdAt) || now,
+            lastActiveAt: toDate(doc.lastActiveAt) || now,
+            expiresAt: toDate(doc.expiresAt),
+            mailbox: (doc.mailbox || []).map(m => ({ ...m })),
+        };
+    }
+
+    // ─── Shared Mode ───────────────────────────────────────
+
+    /**
+     * Register the listener told about every persisted change:
+     * (roomCode, room|null, expired) — room is null once it is gone.
+     */
+    onChange(fn) {
+        this._changeListener = fn;
+    }
+
+    /**
+     * Re-read a room from the store before changing it, so a seat taken
+     * on another node is not handed out twice. No-op unless shared.
+     */
+    async _refresh(roomCode) {
+        if (!this.shared) return;
+        let doc;
+        try {
+            doc = await this.store.getRoom(roomCode);
+        } catch (err) {
+            console.error('[RoomManager] Store refresh error:', err.message);
+            return; // keep working from the local copy
+        }
+        if (doc) {
+            this.rooms.set(roomCode, this._fromDoc(doc));
+        } else {
+            this.rooms.delete(roomCode);
+        }
+    }
+
+    /**
+     * Apply a change published by another node.
+     */
+    applyRemoteChange(roomCode, doc, expired) {
+        if (doc) {
+            this.rooms.set(roomCode, this._fromDoc(doc));
+            return;
+        }
+        const room = this.rooms.get(roomCode);
+        if (room) {
+            room.users.forEach(u => this._cancelDisconnectTimer(roomCode, u.role));
+        }
+        this.rooms.delete(roomCode);
+        if (expired) this.expiredRooms.set(roomCode, Date.now());
+    }
+
+    // ─── Expiry ────────────────────────────────────────────
+
+    _isExpired(room) {
+        return !!room.expiresAt && room.expiresAt.getTime() <= Date.now();
+    }
+
+    _isTombstoned(roomCode) {
+        const expiredAt = this.expiredRooms.get(roomCode);
+        if (!expiredAt) return false;
+        if (Date.now() - expiredAt > TOMBSTONE_TTL_MS) {
+            this.expiredRooms.delete(roomCode);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Drop an expired room from memory and storage, remembering its code.
+     */
+    async _expireRoom(roomCode) {
+        const room = this.rooms.get(roomCode);
+        if (room) {
+            room.users.forEach(u => this._cancelDisconnectTimer(roomCode, u.role));
+        }
+        this.rooms.delete(roomCode);
+        this.expiredRooms.set(roomCode, Date.now());
+        await this._syncToStore(roomCode);
+        console.log(`[RoomManager] Room ${roomCode} expired`);
+    }
+
+    /**
+     * Periodically expire rooms whose lifetime ran out, and reap seats
+     * whose grace period passed without a timer here to remove them
+     * (the socket lived on a node that has since gone away).
+     * @param {(roomCode: string) => void} onExpired called after removal so members can be told
+     * @param {(roomCode: string, role: string) => void} [onSeatRemoved]
+     */
+    startExpirySweep(onExpired, onSeatRemoved) {
+        this.stopExpirySweep();
+        this._sweepInterval = setInterval(async () => {
+            for (const [roomCode, room] of this.rooms) {
+                if (this._isExpired(room)) {
+                    await this._expireRoom(roomCode);
+                    if (onExpired) onExpired(roomCode);
+                    continue;
+                }
+                await this._reapStaleSeats(roomCode, onSeatRemoved);
+            }
+        }, EXPIRY_SWEEP_MS);
+        this._sweepInterval.unref();
+    }
+
+    async _reapStaleSeats(roomCode, onSeatRemoved) {
+        const isStale = u => u.disconnectedAt
+            && Date.now() - u.disconnectedAt > DISCONNECT_GRACE_MS
+            && !this.disconnectTimers.has(`${roomCode}:${u.role}`);
+
+        if (!this.rooms.get(roomCode).users.some(isStale)) return;
+        await this._refresh(roomCode);
+        const room = this.rooms.get(roomCode);
+        if (!room) return;
+
+        const stale = room.users.filter(isStale);
+        if (stale.length === 0) return;
+        room.users = room.users.filter(u => !stale.includes(u));
+        if (room.users.length === 0) {
+            this.rooms.delete(roomCode);
+        }
+        await this._syncToStore(roomCode);
+        stale.forEach((u) => {
+            console.log(`[RoomManager] Reaped stale seat ${u.role} in ${roomCode}`);
+            if (onSeatRemoved) onSeatRemoved(roomCode, u.role);
+        });
+    }
+
+    stopExpirySweep() {
+        if (this._sweepInterval) {
+            clearInterval(this._sweepInterval);
+            this._sweepInterval = null;
         }
-        console.log(`[RoomManager] Loaded ${this.rooms.size} rooms from DB`);
     }
 
     /**
-     * Persist a room to MongoDB.
+     * Persist a room to the store (or remove it if it is gone).
      */
-    async _syncToDB(roomCode) {
+    async _syncToStore(roomCode) {
         const room = this.rooms.get(roomCode);
         if (!room) {
-            await this.roomsColl.deleteOne({ roomCode }).catch(() => { });
+            await this.store.deleteRoom(roomCode).catch(() => { });
+            this._notifyChange(roomCode, null);
             return;
         }
-        await this.roomsColl.updateOne(
-            { roomCode },
-            { $set: { users: room.users } },
-            { upsert: true }
-        ).catch(err => console.error('[RoomManager] DB sync error:', err.message));
+        room.lastActiveAt = new Date();
+        await this.store.saveRoom(room)
+            .catch(err => console.error('[RoomManager] Store sync error:', err.message));
+        this._notifyChange(roomCode, room);
+    }
+
+    _notifyChange(roomCode, room) {
+        if (!this._changeListener) return;
+        try {
+            this._changeListener(roomCode, room, !room && this.expiredRooms.has(roomCode));
+        } catch (err) {
+            console.error('[RoomManager] Change listener error:', err.message);
+        }
     }
 
     /**
@@ -63,108 +346,214 @@ class RoomManager {
     }
 
     /**
-     * Create a room or update user1's socket ID if room already exists.
-     * @returns {{ success: boolean, msg?: string }}
+     * Take a seat in a room. An empty seat is claimed with a fresh token;
+     * an occupied seat is only handed over if the matching token is given.
+     * @returns {{ success: boolean, token?: string, code?: string, msg?: string }}
      */
-    async createRoom(roomCode, socketId) {
+    _claimSeat(room, role, socketId, token) {
+        const seat = room.users.find(u => u.role === role);
+        if (!seat) {
+            this._cancelDisconnectTimer(room.roomCode, role);
+            const newSeat = { socketId, role, token: generateSeatToken() };
+            room.users.push(newSeat);
+            return { success: true, token: newSeat.token };
+        }
+
+        if (!tokensMatch(seat.token, token)) {
+            return { success: false, code: ErrorCodes.SEAT_TAKEN, msg: 'This seat is already taken' };
+        }
+
+        this._cancelDisconnectTimer(room.roomCode, role);
+        seat.socketId = socketId;
+        delete seat.disconnectedAt;
+        return { success: true, token: seat.token };
+    }
+
+    /**
+     * Seat names of everyone else in the room.
+     */
+    _peersOf(room, role) {
+        return room.users.filter(u => u.role !== role).map(u => u.role);
+    }
+
+    _newRoom(roomCode, lifetime) {
+        const now = new Date();
+        const lifetimeMs = ROOM_LIFETIMES[lifetime];
+        return {
+            roomCode,
+            users: [],
+            createdAt: now,
+            lastActiveAt: now,
+            expiresAt: lifetimeMs ? new Date(now.getTime() + lifetimeMs) : null,
+            mailbox: [],
+        };
+    }
+
+    /**
+     * Create a room, or reclaim user1's seat if the caller holds its token.
+     * @param {string} [lifetime] one of ROOM_LIFETIMES' keys; only used for new rooms
+     * @returns {{ success: boolean, role?: string, token?: string, expiresAt?: Date, code?: string, msg?: string }}
+     */
+    async createRoom(roomCode, socketId, token, lifetime) {
         if (!/^[A-Za-z0-9]{6}$/.test(roomCode)) {
-            return { success: false, msg: 'Invalid code' };
+            return { success: false, code: ErrorCodes.INVALID_CODE, msg: 'Invalid code' };
         }
 
-        this._cancelDisconnectTimer(roomCode, 'user1');
+        await this._refresh(roomCode);
+        let room = this.rooms.get(roomCode);
+        if (room && this._isExpired(room)) {
+            await this._expireRoom(roomCode);
+            room = null;
+        }
+        // A returning creator must not silently get a fresh room back
+        if (!room && token && this._isTombstoned(roomCode)) return EXPIRED;
 
-        const existing = this.rooms.get(roomCode);
-        if (!existing) {
-            this.rooms.set(roomCode, {
-                roomCode,
-                users: [{ socketId, role: 'user1' }],
-            });
-        } else {
-            const user1 = existing.users.find(u => u.role === 'user1');
-            if (user1) {
-                user1.socketId = socketId;
-            } else {
-                existing.users.push({ socketId, role: 'user1' });
-            }
+        if (!room) {
+            room = this._newRoom(roomCode, lifetime);
+            this.rooms.set(roomCode, room);
+            this.expiredRooms.delete(roomCode);
+        }
+
+        const claim = this._claimSeat(room, 'user1', socketId, token);
+        if (!claim.success) {
+            return { ...claim, msg: 'Room code already in use' };
         }
 
-        await this._syncToDB(roomCode);
-        return { success: true, role: 'user1' };
+        await this._syncToStore(roomCode);
+        return {
+            success: true,
+            role: 'user1',
+            token: claim.token,
+            peers: this._peersOf(room, 'user1'),
+            expiresAt: room.expiresAt,
+        };
     }
 
     /**
-     * Join an existing room as user2.
-     * @returns {{ success: boolean, msg?: string, user1SocketId?: string }}
+     * Join an existing room. A caller holding a seat token gets that seat
+     * back; anyone else takes the lowest free seat.
+     * @returns {{ success: boolean, role?: string, token?: string, peers?: string[], code?: string, msg?: string }}
      */
-    async joinRoom(roomCode, socketId) {
+    async joinRoom(roomCode, socketId, token) {
         if (!/^[A-Za-z0-9]{6}$/.test(roomCode)) {
-            return { success: false, msg: 'Invalid code' };
+            return { success: false, code: ErrorCodes.INVALID_CODE, msg: 'Invalid code' };
         }
 
+        await this._refresh(roomCode);
         const room = this.rooms.get(roomCode);
+        if (room && this._isExpired(room)) {
+            await this._expireRoom(roomCode);
+            return EXPIRED;
+        }
+        if (!room && this._isTombstoned(roomCode)) return EXPIRED;
         if (!room || room.users.length === 0) {
-            return { success: false, msg: 'Room not found or user1 missing' };
+            return { success: false, code: ErrorCodes.ROOM_NOT_FOUND, msg: 'Room not found or user1 missing' };
         }
 
-        this._cancelDisconnectTimer(roomCode, 'user2');
-
-        const user2 = room.users.find(u => u.role === 'user2');
-        if (user2) {
-            user2.socketId = socketId;
+        let role = null;
+        const ownSeat = room.users.find(u => u.role !== 'user1' && tokensMatch(u.token, token));
+        if (ownSeat) {
+            role = ownSeat.role;
         } else {
-            room.users.push({ socketId, role: 'user2' });
+            for (let n = 2; n <= MAX_SEATS && !role; n++) {
+                if (!room.users.some(u => u.role === `user${n}`)) role = `user${n}`;
+            }
+        }
+        if (!role) {
+            return { success: false, code: ErrorCodes.ROOM_FULL, msg: 'Room is full' };
         }
+        // Mail left for a previous occupant is not for a newcomer
+        if (!ownSeat) room.mailbox = room.mailbox.filter(m => m.to !== role);
+
+        const claim = this._claimSeat(room, role, socketId, token);
+        if (!claim.success) return claim;
 
-        await this._syncToDB(roomCode);
+        await this._syncToStore(roomCode);
 
-        const user1 = room.users.find(u => u.role === 'user1');
         return {
             success: true,
-            role: 'user2',
-            user1SocketId: user1 ? user1.socketId : null,
+            role,
+            token: claim.token,
+            peers: this._peersOf(room, role),
+            expiresAt: room.expiresAt,
         };
     }
 
     /**
-     * Rejoin a room after reconnection. Creates room if it was cleaned up.
-     * @returns {{ success: boolean, user1?: object, user2?: object }}
+     * Rejoin a room after reconnection. Only a caller holding the token
+     * stored for `role` gets that seat back; without a token, or once the
+     * seat has been given up, it is an ordinary join (lowest free seat, so
+     * the role may change). A room that is gone stays gone.
+     * @returns {{ success: boolean, role?: string, token?: string, peers?: string[], code?: string, msg?: string }}
      */
-    async rejoinRoom(roomCode, role, socketId) {
-        this._cancelDisconnectTimer(roomCode, role);
+    async rejoinRoom(roomCode, role, socketId, token) {
+        if (!/^[A-Za-z0-9]{6}$/.test(roomCode)) {
+            return { success: false, code: ErrorCodes.INVALID_CODE, msg: 'Invalid code' };
+        }
+        if (!isValidRole(role)) {
+            return { success: false, code: ErrorCodes.INVALID_TOKEN, msg: 'Invalid role' };
+        }
 
-        let room = this.rooms.get(roomCode);
+        await this._refresh(roomCode);
+        const room = this.rooms.get(roomCode);
+        if (room && this._isExpired(room)) {
+            await this._expireRoom(roomCode);
+            return EXPIRED;
+        }
+        if (!room && this._isTombstoned(roomCode)) return EXPIRED;
         if (!room) {
-            // Room was cleaned up — recreate it
-            room = { roomCode, users: [{ socketId, role }] };
-            this.rooms.set(roomCode, room);
-        } else {
-            const existing = room.users.find(u => u.role === role);
-            if (existing) {
-                existing.socketId = socketId;
-            } else {
-                room.users.push({ socketId, role });
-            }
+            return { success: false, code: ErrorCodes.ROOM_NOT_FOUND, msg: 'Room not found' };
         }
 
-        await this._syncToDB(roomCode);
+        const seat = room.users.find(u => u.role === role);
+        if (!token || !seat) return this.joinRoom(roomCode, socketId, token);
 
-        const user1 = room.users.find(u => u.role === 'user1');
-        const user2 = room.users.find(u => u.role === 'user2');
-        return { success: true, user1: user1 || null, user2: user2 || null };
+        const claim = this._claimSeat(room, role, socketId, token);
+        if (!claim.success) {
+            return { ...claim, code: ErrorCodes.INVALID_TOKEN, msg: 'Seat token rejected' };
+        }
+
+        await this._syncToStore(roomCode);
+
+        return {
+            success: true,
+            role,
+            token: claim.token,
+            peers: this._peersOf(room, role),
+            expiresAt: room.expiresAt,
+        };
+    }
+
+    /**
+     * Check that a socket holds the seat it claims in a room.
+     * @returns {{ socketId: string, role: string } | null}
+     */
+    authorize(roomCode, socketId, token) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return null;
+        const user = room.users.find(u => u.socketId === socketId);
+        if (!user || !tokensMatch(user.token, token)) return null;
+        return user;
     }
 
     /**
      * Remove a socket from its room immediately (used for intentional leave).
+     * @returns {{ socketId: string, role: string } | null} the vacated seat, or
+     *          null if the socket does not hold a seat with that token
      */
-    async leaveRoom(roomCode, socketId) {
+    async leaveRoom(roomCode, socketId, token) {
+        await this._refresh(roomCode);
         const room = this.rooms.get(roomCode);
-        if (!room) return;
+        if (!room) return null;
+        const user = this.authorize(roomCode, socketId, token);
+        if (!user) return null;
 
         room.users = room.users.filter(u => u.socketId !== socketId);
         if (room.users.length === 0) {
             this.rooms.delete(roomCode);
         }
-        await this._syncToDB(roomCode);
+        await this._syncToStore(roomCode);
+        return user;
     }
 
     /**
@@ -188,30 +577,103 @@ class RoomManager {
         if (!foundRoom || !foundRole) return null;
 
         const roomCode = foundRoom.roomCode;
-        const key = `${roomCode}:${foundRole}`;
+        foundRoom.users.find(u => u.role === foundRole).disconnectedAt = Date.now();
+        this._syncToStore(roomCode);
+        this._startGraceTimer(roomCode, foundRole, socketId, onRemoved);
+        return { roomCode, role: foundRole };
+    }
+
+    /**
+     * Remove a seat after DISCONNECT_GRACE_MS unless it was re-taken
+     * by a new socket in the meantime.
+     */
+    _startGraceTimer(roomCode, role, socketId, onRemoved) {
+        const key = `${roomCode}:${role}`;
+        this._cancelDisconnectTimer(roomCode, role);
 
-        // Start grace period timer
         const timer = setTimeout(async () => {
             this.disconnectTimers.delete(key);
 
-            // Re-check: if the user reconnected with a new socketId, don't remove
+            // Re-check: if the user reconnected with a new socketId (possibly
+            // on another node), don't remove
+            await this._refresh(roomCode);
             const room = this.rooms.get(roomCode);
             if (!room) return;
 
-            const user = room.users.find(u => u.role === foundRole);
+            const user = room.users.find(u => u.role === role);
             if (user && user.socketId === socketId) {
                 // Socket ID hasn't changed — user truly left
-                room.users = room.users.filter(u => u.role !== foundRole);
+                room.users = room.users.filter(u => u.role !== role);
                 if (room.users.length === 0) {
                     this.rooms.delete(roomCode);
                 }
-                await this._syncToDB(roomCode);
-                if (onRemoved) onRemoved(roomCode, foundRole);
+                await this._syncToStore(roomCode);
+                if (onRemoved) onRemoved(roomCode, role);
             }
         }, DISCONNECT_GRACE_MS);
 
         this.disconnectTimers.set(key, timer);
-        return { roomCode, role: foundRole };
+    }
+
+    // ─── Mailbox ───────────────────────────────────────────
+
+    /**
+     * Drop mail older than MAILBOX_TTL_MS.
+     * @returns {boolean} whether anything was dropped
+     */
+    _pruneMailbox(room) {
+        const cutoff = Date.now() - MAILBOX_TTL_MS;
+        const before = room.mailbox.length;
+        room.mailbox = room.mailbox.filter(m => m.ts > cutoff);
+        return room.mailbox.length !== before;
+    }
+
+    /**
+     * Hold an encrypted message for a seat whose peer is away. The payload
+     * is never parsed; only its size counts against the room's limit. The
+     * seat must be held right now; the mail is bound to its current token.
+     * @returns {{ success: boolean, code?: string, msg?: string }}
+     */
+    async postToMailbox(roomCode, socketId, token, to, payload) {
+        await this._refresh(roomCode);
+        const room = this.rooms.get(roomCode);
+        const sender = room && this.authorize(roomCode, socketId, token);
+        if (!sender) {
+            return { success: false, code: ErrorCodes.INVALID_TOKEN, msg: 'Seat token rejected' };
+        }
+        const recipient = room.users.find(u => u.role === to);
+        if (!recipient || to === sender.role || typeof payload !== 'string') {
+            return { success: false, code: ErrorCodes.INVALID_RECIPIENT, msg: 'Invalid recipient or payload' };
+        }
+
+        this._pruneMailbox(room);
+        const used = room.mailbox.reduce((sum, m) => sum + m.payload.length, 0);
+        if (room.mailbox.length >= MAILBOX_MAX_ITEMS || used + payload.length > MAILBOX_MAX_BYTES) {
+            return { success: false, code: ErrorCodes.MAILBOX_FULL, msg: 'Mailbox is full' };
+        }
+
+        room.mailbox.push({ from: sender.role, to, token: recipient.token, payload, ts: Date.now() });
+        await this._syncToStore(roomCode);
+        return { success: true };
+    }
+
+    /**
+     * Hand over, and forget, everything held for a seat — oldest first.
+     * Mail bound to an earlier holder's token is dropped, not delivered.
+     * @returns {Array<{ from: string, payload: string, ts: number }>}
+     */
+    async drainMailbox(roomCode, role) {
+        await this._refresh(roomCode);
+        const room = this.rooms.get(roomCode);
+        const seat = room && room.users.find(u => u.role === role);
+        if (!seat) return [];
+
+        const pruned = this._pruneMailbox(room);
+        const addressed = room.mailbox.filter(m => m.to === role);
+        const items = addressed.filter(m => tokensMatch(m.token, seat.token));
+        if (addressed.length > 0) room.mailbox = room.mailbox.filter(m => m.to !== role);
+        if (addressed.length > 0 || pruned) await this._syncToStore(roomCode);
+        return items.map(({ from, payload, ts }) => ({ from, payload, ts }));
     }
 
     /**
@@ -225,6 +687,15 @@ class RoomManager {
         return null;
     }
 
+    /**
+     * Get the occupant of a seat, if any.
+     */
+    getSeat(roomCode, role) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return null;
+        return room.users.find(u => u.role === role) || null;
+    }
+
     /**
      * Get a room by code.
      */
@@ -233,4 +704,10 @@ class RoomManager {
     }
 }
 
+RoomManager.ErrorCodes = ErrorCodes;
+RoomManager.MAX_SEATS = MAX_SEATS;
+RoomManager.ROOM_LIFETIMES = ROOM_LIFETIMES;
+RoomManager.MAILBOX_MAX_ITEMS = MAILBOX_MAX_ITEMS;
+RoomManager.MAILBOX_MAX_BYTES = MAILBOX_MAX_BYTES;
+
 module.exports = RoomManager;
@@ -0,0 +1,214 @@
+/**
+ * Room storage backends for RoomManager.
+ *
+ * Every store implements the same small interface:
+ *   init()                → prepare the backend (connect, create indexes, read file)
+ *   loadRooms()           → all rooms that have not expired
+ *   getRoom(roomCode)     → one room, or null
+ *   saveRoom(room)        → insert or replace one room
+ *   deleteRoom(roomCode)  → remove one room
+ *   close()               → release connections / flush
+ *
+ * Pick a backend with ROOM_STORE=mongo|memory|file. Without it, Mongo is
+ * used when a MongoDB URI is configured and memory otherwise, so the
+ * server boots locally (and in tests) without a database.
+ * The file store writes to ROOM_STORE_FILE (default
+ * <os tmpdir>/silent-byte/rooms.json). The file holds seat tokens and
+ * mailbox contents, so it must never sit under the app directory, which
+ * index.js serves as static files; such a path is refused at startup.
+ * Only the Mongo store is shared between processes, so cluster mode
+ * (see cluster.js) requires it.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { connectDB, closeDB } = require('./db');
+
+// index.js serves this directory with express.static
+const SERVED_ROOT = path.resolve(__dirname, '..');
+const DEFAULT_STORE_FILE = path.join(os.tmpdir(), 'silent-byte', 'rooms.json');
+
+const DATE_FIELDS = ['createdAt', 'lastActiveAt', 'expiresAt'];
+
+function toDoc(room) {
+    return {
+        roomCode: room.roomCode,
+        users: room.users,
+        createdAt: room.createdAt,
+        lastActiveAt: room.lastActiveAt,
+        expiresAt: room.expiresAt,
+        mailbox: room.mailbox || [],
+    };
+}
+
+function isLive(doc, now = Date.now()) {
+    return !doc.expiresAt || new Date(doc.expiresAt).getTime() > now;
+}
+
+// ─── MongoDB ───────────────────────────────────────────────────
+
+class MongoRoomStore {
+    async init() {
+        const { roomsColl } = await connectDB();
+        this.roomsColl = roomsColl;
+    }
+
+    async loadRooms() {
+        return this.roomsColl.find({
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+        }).toArray();
+    }
+
+    async getRoom(roomCode) {
+        return this.roomsColl.findOne({ roomCode });
+    }
+
+    async saveRoom(room) {
+        const { roomCode, ...fields } = toDoc(room);
+        await this.roomsColl.updateOne({ roomCode }, { $set: fields }, { upsert: true });
+    }
+
+    async deleteRoom(roomCode) {
+        await this.roomsColl.deleteOne({ roomCode });
+    }
+
+    async close() {
+        await closeDB();
+    }
+}
+
+// ─── In-Memory ─────────────────────────────────────────────────
+
+class MemoryRoomStore {
+    constructor() {
+        this.docs = new Map();
+    }
+
+    async init() { }
+
+    async loadRooms() {
+        return [...this.docs.values()].filter(doc => isLive(doc)).map(doc => structuredClone(doc));
+    }
+
+    async getRoom(roomCode) {
+        const doc = this.docs.get(roomCode);
+        return doc ? structuredClone(doc) : null;
+    }
+
+    async saveRoom(room) {
+        this.docs.set(room.roomCode, structuredClone(toDoc(room)));
+    }
+
+    async deleteRoom(roomCode) {
+        this.docs.delete(roomCode);
+    }
+
+    async close() { }
+}
+
+// ─── JSON File ─────────────────────────────────────────────────
+
+class FileRoomStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.docs = new Map();
+        this._writeChain = Promise.resolve();
+    }
+
+    async init() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            raw = '[]';
+        }
+
+        for (const doc of JSON.parse(raw)) {
+            DATE_FIELDS.forEach((field) => {
+                if (doc[field]) doc[field] = new Date(doc[field]);
+            });
+            this.docs.set(doc.roomCode, doc);
+        }
+        console.log(`[Store] Using ${this.filePath}`);
+    }
+
+    async loadRooms() {
+        return [...this.docs.values()].filter(doc => isLive(doc)).map(doc => structuredClone(doc));
+    }
+
+    async getRoom(roomCode) {
+        const doc = this.docs.get(roomCode);
+        return doc ? structuredClone(doc) : null;
+    }
+
+    async saveRoom(room) {
+        this.docs.set(room.roomCode, structuredClone(toDoc(room)));
+        await this._flush();
+    }
+
+    async deleteRoom(roomCode) {
+        if (this.docs.delete(roomCode)) await this._flush();
+    }
+
+    async close() {
+        await this._writeChain;
+    }
+
+    /**
+     * Write the whole file via a temp file + rename so a crash mid-write
+     * never leaves half a JSON document behind. Writes are serialized.
+     */
+    _flush() {
+        this._writeChain = this._writeChain.then(async () => {
+            const live = [...this.docs.values()].filter(doc => isLive(doc));
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tmpPath, JSON.stringify(live, null, 2));
+            await fs.rename(tmpPath, this.filePath);
+        });
+        return this._writeChain;
+    }
+}
+
+// ─── Factory ───────────────────────────────────────────────────
+
+/**
+ * Resolve the file store path, refusing anything the static file server
+ * would hand out to whoever asks for it.
+ */
+function resolveStoreFile(filePath) {
+    const resolved = path.resolve(filePath || DEFAULT_STORE_FILE);
+    const rel = path.relative(SERVED_ROOT, resolved);
+    const outside = rel === '..' || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel);
+    if (!outside) {
+        throw new Error(`ROOM_STORE_FILE "${resolved}" is inside the served app directory. Put it outside ${SERVED_ROOT}.`);
+    }
+    return resolved;
+}
+
+/**
+ * Build and initialise the store selected by the environment.
+ */
+async function createRoomStore(env = process.env) {
+    const hasMongoUri = !!(env.uri || env.URI || env.MONGO_URL);
+    const kind = (env.ROOM_STORE || (hasMongoUri ? 'mongo' : 'memory')).toLowerCase();
+
+    let store;
+    if (kind === 'mongo') {
+        store = new MongoRoomStore();
+    } else if (kind === 'memory') {
+        store = new MemoryRoomStore();
+    } else if (kind === 'file') {
+        store = new FileRoomStore(resolveStoreFile(env.ROOM_STORE_FILE));
+    } else {
+        throw new Error(`Unknown ROOM_STORE "${kind}". Use mongo, memory or file.`);
+    }
+
+    await store.init();
+    console.log(`[Store] Room store: ${kind}`);
+    return store;
+}
+
+module.exports = { createRoomStore, MongoRoomStore, MemoryRoomStore, FileRoomStore };
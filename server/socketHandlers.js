@@ -1,69 +1,151 @@
 /**
  * Socket.io event handlers.
  * Handles room management, WebRTC signaling, and heartbeat.
+ *
+ * Rooms are a mesh: every participant is addressed by seat name
+ * (`user1` … `user6`). Signaling carries a `to` seat and is delivered
+ * with a `from` seat so each client can keep one connection per peer.
+ * The sender's room and seat are looked up from its socket, never taken
+ * from the message, so a socket can only signal inside its own room.
+ *
+ * Every event after create/join must carry the seat token the server
+ * issued; anything else is answered with a `room-error` { code, msg }.
+ *
+ * `mailbox-put` leaves client-encrypted messages for an absent seat; they
+ * are delivered as a `mailbox` event when that seat joins or rejoins.
+ *
+ * Clients send `heartbeat` every 10 s (about once a minute in a background
+ * tab) and get `heartbeat-ack` with the same payload back. A socket that
+ * has started heartbeating and then goes quiet for HEARTBEAT_TIMEOUT_MS is
+ * disconnected, which starts the seat's grace period like any other
+ * disconnect.
  */
 
+const { ErrorCodes } = require('./roomManager');
+
+// Background tabs run timers about once a minute, so their heartbeats come
+// 60 s apart; this is well over two of those. A quicker drop would force
+// hidden tabs through a rejoin and renegotiate every peer link.
+const HEARTBEAT_TIMEOUT_MS = 150000;
+
 function registerHandlers(io, roomManager) {
+    const onSeatRemoved = (roomCode, role) => {
+        // Called after grace period if user didn't reconnect
+        console.log(`[Socket] User ${role} permanently removed from ${roomCode}`);
+        io.in(roomCode).emit('peer-left', { peerId: role });
+    };
+
+    // Tell everyone in a room when its chosen lifetime runs out
+    roomManager.startExpirySweep((roomCode) => {
+        io.in(roomCode).emit('room-expired', { roomCode });
+        io.in(roomCode).socketsLeave(roomCode);
+    }, onSeatRemoved);
+
     io.on('connection', (socket) => {
         console.log(`[Socket] Connected: ${socket.id}`);
 
+        const rejectSeat = (event) => {
+            console.warn(`[Socket] Rejected ${event} from ${socket.id}: bad seat token`);
+            socket.emit('room-error', { code: ErrorCodes.INVALID_TOKEN, msg: 'Seat token rejected' });
+        };
+
+        const relay = (event, data = {}, payload) => {
+            const found = roomManager.findBySocket(socket.id);
+            if (!found) {
+                console.warn(`[Socket] Dropped ${event} from ${socket.id}: not in a room`);
+                socket.emit('room-error', { code: ErrorCodes.NOT_IN_ROOM, msg: 'Not a member of any room' });
+                return;
+            }
+
+            const { room, user: sender } = found;
+            if (!roomManager.authorize(room.roomCode, socket.id, data.token)) return rejectSeat(event);
+
+            // Forward only to the addressed seat; with a single other seat
+            // an unaddressed message can only mean that one.
+            const others = room.users.filter(u => u.role !== sender.role);
+            const target = data.to
+                ? others.find(u => u.role === data.to)
+                : (others.length === 1 ? others[0] : null);
+            if (!target) return;
+
+            io.to(target.socketId).emit(event, { from: sender.role, ...payload });
+        };
+
+        const deliverMailbox = async (roomCode, role) => {
+            const items = await roomManager.drainMailbox(roomCode, role);
+            if (items.length > 0) socket.emit('mailbox', { items });
+        };
+
         // ─── Room Management ───────────────────────────────────────────
 
-        socket.on('create-room', async (roomCode, cb) => {
+        socket.on('create-room', async (roomCode, options, cb) => {
+            if (typeof options === 'function') { cb = options; options = {}; }
+            const { token, lifetime } = options || {};
+            const reply = typeof cb === 'function' ? cb : () => { };
             try {
-                const result = await roomManager.createRoom(roomCode, socket.id);
+                const result = await roomManager.createRoom(roomCode, socket.id, token, lifetime);
                 if (result.success) {
                     socket.join(roomCode);
                 }
-                cb(result);
+                reply(result);
             } catch (err) {
                 console.error('[Socket] create-room error:', err);
-                cb({ success: false, msg: 'Server error' });
+                reply({ success: false, msg: 'Server error' });
             }
         });
 
-        socket.on('join-room', async (roomCode, cb) => {
+        socket.on('join-room', async (roomCode, token, cb) => {
+            if (typeof token === 'function') { cb = token; token = null; }
+            const reply = typeof cb === 'function' ? cb : () => { };
             try {
-                const result = await roomManager.joinRoom(roomCode, socket.id);
+                const result = await roomManager.joinRoom(roomCode, socket.id, token);
                 if (result.success) {
                     socket.join(roomCode);
-                    // Notify user1 that user2 has joined
-                    if (result.user1SocketId) {
-                        io.to(result.user1SocketId).emit('start-chat', { roomCode });
-                    }
+                    // Notify everyone already in the room about the newcomer
+                    socket.to(roomCode).emit('start-chat', { roomCode, peerId: result.role });
                 }
-                cb(result);
+                reply(result);
+                if (result.success) await deliverMailbox(roomCode, result.role);
             } catch (err) {
                 console.error('[Socket] join-room error:', err);
-                cb({ success: false, msg: 'Server error' });
+                reply({ success: false, msg: 'Server error' });
             }
         });
 
-        socket.on('rejoin-room', async ({ roomCode, role }) => {
+        socket.on('rejoin-room', async ({ roomCode, role, token } = {}, cb) => {
             try {
-                const result = await roomManager.rejoinRoom(roomCode, role, socket.id);
-                if (!result.success) return;
+                const result = await roomManager.rejoinRoom(roomCode, role, socket.id, token);
+                if (!result.success) {
+                    if (typeof cb === 'function') cb(result);
+                    socket.emit('room-error', { code: result.code, msg: result.msg });
+                    return;
+                }
 
                 socket.join(roomCode);
+                // Without a valid token this was a plain join and the seat may differ
+                const seat = result.role;
 
-                // If both users are present, trigger WebRTC renegotiation
-                if (result.user1 && result.user2) {
-                    io.to(result.user1.socketId).emit('restart-webrtc');
-                    io.to(result.user2.socketId).emit('restart-webrtc');
+                // Renegotiate every link that involves the rejoining seat
+                if (result.peers.length > 0) {
+                    socket.emit('restart-webrtc', {});
+                    socket.to(roomCode).emit('restart-webrtc', { peerId: seat });
                 }
 
                 // Notify the room that someone rejoined
-                io.to(roomCode).emit('start-chat', { roomCode });
+                socket.to(roomCode).emit('start-chat', { roomCode, peerId: seat });
+                if (typeof cb === 'function') cb(result);
+                await deliverMailbox(roomCode, seat);
             } catch (err) {
                 console.error('[Socket] rejoin-room error:', err);
             }
         });
 
-        socket.on('leave-room', async (roomCode) => {
+        socket.on('leave-room', async ({ roomCode, token } = {}) => {
             try {
+                const seat = await roomManager.leaveRoom(roomCode, socket.id, token);
+                if (!seat) return rejectSeat('leave-room');
                 socket.leave(roomCode);
-                await roomManager.leaveRoom(roomCode, socket.id);
-                io.in(roomCode).emit('peer-left');
+                io.in(roomCode).emit('peer-left', { peerId: seat.role });
             } catch (err) {
                 console.error('[Socket] leave-room error:', err);
             }
@@ -71,34 +153,57 @@ function registerHandlers(io, roomManager) {
 
         // ─── WebRTC Signaling ──────────────────────────────────────────
 
-        socket.on('offer', (data) => {
-            socket.to(data.roomCode).emit('offer', { sdp: data.sdp });
+        socket.on('offer', (data = {}) => {
+            relay('offer', data, { sdp: data.sdp });
+        });
+
+        socket.on('answer', (data = {}) => {
+            relay('answer', data, { sdp: data.sdp });
         });
 
-        socket.on('answer', (data) => {
-            socket.to(data.roomCode).emit('answer', { sdp: data.sdp });
+        socket.on('ice-candidate', (data = {}) => {
+            relay('ice-candidate', data, { candidate: data.candidate });
         });
 
-        socket.on('ice-candidate', (data) => {
-            socket.to(data.roomCode).emit('ice-candidate', { candidate: data.candidate });
+        // ─── Mailbox (store-and-forward) ───────────────────────────────
+
+        socket.on('mailbox-put', async ({ to, payload, token } = {}, cb) => {
+            const reply = typeof cb === 'function' ? cb : () => { };
+            const found = roomManager.findBySocket(socket.id);
+            if (!found) {
+                reply({ success: false, code: ErrorCodes.NOT_IN_ROOM, msg: 'Not a member of any room' });
+                return;
+            }
+            try {
+                reply(await roomManager.postToMailbox(found.room.roomCode, socket.id, token, to, payload));
+            } catch (err) {
+                console.error('[Socket] mailbox-put error:', err);
+                reply({ success: false, msg: 'Server error' });
+            }
         });
 
         // ─── Heartbeat ─────────────────────────────────────────────────
 
-        socket.on('heartbeat', () => {
-            socket.emit('heartbeat-ack');
+        // Armed by the first heartbeat, so clients that never send any
+        // (the create/join pages) are left to Socket.io's own timeouts
+        let heartbeatTimer = null;
+
+        socket.on('heartbeat', (seq) => {
+            clearTimeout(heartbeatTimer);
+            heartbeatTimer = setTimeout(() => {
+                console.warn(`[Socket] No heartbeat from ${socket.id} for ${HEARTBEAT_TIMEOUT_MS} ms, dropping`);
+                socket.disconnect(true);
+            }, HEARTBEAT_TIMEOUT_MS);
+            socket.emit('heartbeat-ack', Number.isInteger(seq) ? seq : undefined);
         });
 
         // ─── Disconnect ────────────────────────────────────────────────
 
         socket.on('disconnect', (reason) => {
             console.log(`[Socket] Disconnected: ${socket.id} (${reason})`);
+            clearTimeout(heartbeatTimer);
 
-            roomManager.handleDisconnect(socket.id, (roomCode, role) => {
-                // Called after grace period if user didn't reconnect
-                console.log(`[Socket] User ${role} permanently removed from ${roomCode}`);
-                io.in(roomCode).emit('peer-left');
-            });
+            roomManager.handleDisconnect(socket.id, onSeatRemoved);
         });
     });
 }